@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Blog Content Extractor - CLI
+ * Batch-converts saved HTML pages to Markdown (or another output format)
+ * with the same pipeline, options and file names as the extension. Works
+ * offline: jsdom never fetches scripts, stylesheets or images.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { extractContent } from '../src/extract.js';
+import { importRules } from '../src/site-rules.js';
+import { DEFAULT_LINK_RULES } from '../src/links.js';
+import { EMBED_MODES } from '../src/embeds.js';
+import { MEDIA_MODES } from '../src/media.js';
+import { LINK_STYLES, MARKDOWN_FLAVORS } from '../src/converter.js';
+import { FORMATS, FORMAT_NAMES } from '../src/formats.js';
+import { slugify, markdownFilename } from '../src/slug.js';
+
+const USAGE = `Cách dùng: extract-md [tùy chọn] <file.html | thư mục>...
+
+  -o, --out <thư mục>   Nơi ghi file kết quả (mặc định: thư mục hiện tại)
+      --url <url>       URL gốc để giải link tương đối (mặc định: lấy từ trang đã lưu)
+      --profile <file>  Mẫu frontmatter dạng JSON ({ "name", "fields": [{ "key", "value" }] })
+      --rules <file>    Quy tắc theo trang (file xuất từ popup)
+      --clean-links     Bỏ tham số theo dõi, gỡ link chuyển hướng (quy tắc mặc định)
+      --link-rules <file>  Như --clean-links, với quy tắc link dạng JSON
+                        ({ "stripParams", "redirectors", "shortLinks", "affiliates" })
+      --no-images       Bỏ ảnh
+      --no-links        Bỏ link, giữ chữ
+      --no-tables       Bảng thành đoạn văn
+      --svg             Giữ hình SVG trong bài dưới dạng ảnh (data: URL)
+      --no-frontmatter  Không thêm frontmatter
+      --embeds <kiểu>   Bài nhúng (YouTube, TikTok...): link (mặc định), shortcode hoặc html
+      --media <kiểu>    Thẻ video/audio: html (mặc định) hoặc link
+      --link-style <kiểu>  Link trong dòng (inline, mặc định) hoặc tham chiếu cuối bài (referenced)
+      --format <kiểu>   Định dạng: markdown (mặc định), html, text, asciidoc hoặc json
+      --flavor <kiểu>   Kiểu Markdown: gfm (mặc định), commonmark, obsidian, hugo,
+                        jekyll, mdx, ghost, hexo hoặc notion
+  -h, --help            Hiện hướng dẫn này`;
+
+const HTML_EXT = /\.html?$/i;
+
+/** Expand directories (recursively) into the .html/.htm files they contain. */
+function collectInputs(paths) {
+  const files = [];
+  const walk = (p) => {
+    if (fs.statSync(p).isDirectory()) {
+      for (const entry of fs.readdirSync(p).sort()) walk(path.join(p, entry));
+    } else if (HTML_EXT.test(p)) {
+      files.push(p);
+    }
+  };
+  for (const p of paths) {
+    if (!fs.existsSync(p)) throw new Error(`Không tìm thấy: ${p}`);
+    if (!fs.statSync(p).isDirectory()) files.push(p);
+    else walk(p);
+  }
+  return files;
+}
+
+/**
+ * Best guess at where a saved page came from: Chrome's "saved from url"
+ * comment, then canonical / og:url, then the file itself.
+ */
+function guessPageUrl(html, doc, file) {
+  const saved = html.match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i)?.[1];
+  const candidates = [
+    saved,
+    doc.querySelector('link[rel="canonical"]')?.getAttribute('href'),
+    doc.querySelector('meta[property="og:url"]')?.getAttribute('content'),
+  ];
+  for (const candidate of candidates) {
+    if (/^https?:\/\//i.test(candidate?.trim() || '')) return candidate.trim();
+  }
+  return pathToFileURL(path.resolve(file)).href;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/** Same name as the download button, made unique within this run. */
+function uniqueName(base, used) {
+  let name = base;
+  for (let i = 2; used.has(name); i++) name = `${base}-${i}`;
+  used.add(name);
+  return name;
+}
+
+function convertFile(file, options) {
+  const html = fs.readFileSync(file, 'utf8');
+  // Empty virtual console: CSS the parser doesn't understand is not an error here
+  const dom = new JSDOM(html, { url: pathToFileURL(path.resolve(file)).href, virtualConsole: new VirtualConsole() });
+  try {
+    const doc = dom.window.document;
+    const baseUrl = options.baseUrl || guessPageUrl(html, doc, file);
+    return extractContent(doc, { ...options, baseUrl });
+  } finally {
+    dom.window.close();
+  }
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o', default: '.' },
+      url: { type: 'string' },
+      profile: { type: 'string' },
+      rules: { type: 'string' },
+      'clean-links': { type: 'boolean', default: false },
+      'link-rules': { type: 'string' },
+      'no-images': { type: 'boolean', default: false },
+      'no-links': { type: 'boolean', default: false },
+      'no-tables': { type: 'boolean', default: false },
+      svg: { type: 'boolean', default: false },
+      'no-frontmatter': { type: 'boolean', default: false },
+      embeds: { type: 'string', default: 'link' },
+      media: { type: 'string', default: 'html' },
+      'link-style': { type: 'string', default: 'inline' },
+      format: { type: 'string', default: 'markdown' },
+      flavor: { type: 'string', default: 'gfm' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  if (!EMBED_MODES.includes(values.embeds)) {
+    throw new Error(`--embeds phải là một trong: ${EMBED_MODES.join(', ')}`);
+  }
+  if (!MEDIA_MODES.includes(values.media)) {
+    throw new Error(`--media phải là một trong: ${MEDIA_MODES.join(', ')}`);
+  }
+  if (!LINK_STYLES.includes(values['link-style'])) {
+    throw new Error(`--link-style phải là một trong: ${LINK_STYLES.join(', ')}`);
+  }
+  if (!FORMAT_NAMES.includes(values.format)) {
+    throw new Error(`--format phải là một trong: ${FORMAT_NAMES.join(', ')}`);
+  }
+  if (!MARKDOWN_FLAVORS[values.flavor]) {
+    throw new Error(`--flavor phải là một trong: ${Object.keys(MARKDOWN_FLAVORS).join(', ')}`);
+  }
+
+  const options = {
+    includeImages: !values['no-images'],
+    includeLinks: !values['no-links'],
+    includeTables: !values['no-tables'],
+    includeSvg: values.svg,
+    includeFrontmatter: !values['no-frontmatter'],
+    embedMode: values.embeds,
+    mediaMode: values.media,
+    linkStyle: values['link-style'],
+    format: values.format,
+    flavor: values.flavor,
+    baseUrl: values.url,
+    frontmatterProfile: values.profile ? readJson(values.profile) : undefined,
+    siteRules: values.rules ? importRules(fs.readFileSync(values.rules, 'utf8')) : [],
+    linkRules: values['link-rules'] ? readJson(values['link-rules']) : values['clean-links'] ? DEFAULT_LINK_RULES : null,
+  };
+
+  const files = collectInputs(positionals);
+  fs.mkdirSync(values.out, { recursive: true });
+
+  const used = new Set();
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const result = convertFile(file, options);
+      const fallback = slugify(result.title) || slugify(path.basename(file).replace(HTML_EXT, '')) || 'blog-post';
+      const name = uniqueName(markdownFilename(result.content, fallback), used);
+      const outFile = path.join(values.out, `${name}.${FORMATS[result.format].extension}`);
+      fs.writeFileSync(outFile, result.content);
+      const rewritten = result.rewrittenLinks.length ? `, ${result.rewrittenLinks.length} link đã sửa` : '';
+      console.log(`✅ ${file} → ${outFile} (${result.charCount} ký tự, ${result.imageCount} ảnh, ${result.linkCount} link${rewritten}, ${result.embedCount} embed, ${result.mediaCount} video/audio)`);
+    } catch (err) {
+      failed++;
+      console.error(`❌ ${file}: ${err.message}`);
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+}
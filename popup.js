@@ -2,6 +2,24 @@
  * Blog Content Extractor - Popup Script v2.0
  * Includes AI processing via Gemini API (same config as affiliate shop chatbot).
  */
+
+import { DEFAULT_PROFILES, PLACEHOLDERS, parseFields, formatFields } from './src/frontmatter.js';
+import {
+  isValidSelector, normalizeRule, parseReplacements, formatReplacements, exportRules, importRules,
+} from './src/site-rules.js';
+import { markdownFilename, slugify } from './src/slug.js';
+import { FORMATS } from './src/formats.js';
+import { renderDocument } from './src/extract.js';
+import {
+  collectImageUrls, rewriteImages, removeImages, listImages, altTextIssue, downloadImages, buildManifest,
+} from './src/assets.js';
+import { createZip } from './src/zip.js';
+import { normalizeImageSettings, processImage } from './src/image-pipeline.js';
+import { safeMarkdownUrl } from './src/url.js';
+import {
+  DEFAULT_LINK_RULES, normalizeLinkRules, parseRedirectors, formatRedirectors, rewriteLink, resolveShortLinks, replaceLinks,
+} from './src/links.js';
+
 document.addEventListener('DOMContentLoaded', () => {
   // ── Elements ──
   const btnFullPage   = document.getElementById('btn-full-page');
@@ -9,24 +27,80 @@ document.addEventListener('DOMContentLoaded', () => {
   const btnExtract    = document.getElementById('btn-extract');
   const btnCopy       = document.getElementById('btn-copy');
   const btnDownload   = document.getElementById('btn-download');
+  const btnZip        = document.getElementById('btn-zip');
   const btnSettings   = document.getElementById('btn-settings');
   const btnSaveKey    = document.getElementById('btn-save-key');
   const settingsPanel = document.getElementById('settings-panel');
   const apiKeyInput   = document.getElementById('api-key-input');
   const resultSection = document.getElementById('result-section');
   const resultText    = document.getElementById('result-text');
+  const resultTitle   = document.getElementById('result-title');
   const statusEl      = document.getElementById('status');
   const selectionInfo = document.getElementById('selection-info');
   const statChars     = document.getElementById('stat-chars');
   const statImages    = document.getElementById('stat-images');
   const statLinks     = document.getElementById('stat-links');
+  const statEmbeds    = document.getElementById('stat-embeds');
+  const statMedia     = document.getElementById('stat-media');
+  const statSource    = document.getElementById('stat-source');
+  const statRemoved   = document.getElementById('stat-removed');
+  const statRewritten = document.getElementById('stat-rewritten');
+  const shortLinksBar = document.getElementById('short-links');
+  const shortLinksText = document.getElementById('short-links-text');
+  const btnResolveLinks = document.getElementById('btn-resolve-links');
+  const imageReview   = document.getElementById('image-review');
+  const imageReviewTitle = document.getElementById('image-review-title');
+  const imageGrid     = document.getElementById('image-grid');
   const aiPanel       = document.getElementById('ai-panel');
   const btnAiFull     = document.getElementById('btn-ai-full');
   const btnAiClean    = document.getElementById('btn-ai-clean');
   const aiStatusEl    = document.getElementById('ai-status');
+  const profileSelect     = document.getElementById('opt-profile');
+  const formatSelect      = document.getElementById('opt-format');
+  const flavorSelect      = document.getElementById('opt-flavor');
+  const flavorRow         = document.getElementById('flavor-row');
+  const embedModeSelect   = document.getElementById('opt-embeds');
+  const mediaModeSelect   = document.getElementById('opt-media');
+  const linkStyleSelect   = document.getElementById('opt-link-style');
+  const imageFormatSelect = document.getElementById('opt-img-format');
+  const imageWidthInput   = document.getElementById('opt-img-width');
+  const imageQualityInput = document.getElementById('opt-img-quality');
+  const imageSizeRow      = document.getElementById('img-size-row');
+  const profileEditSelect = document.getElementById('profile-edit-select');
+  const profileNameInput  = document.getElementById('profile-name');
+  const profileFieldsInput = document.getElementById('profile-fields');
+  const profileHint       = document.getElementById('profile-hint');
+  const btnProfileNew     = document.getElementById('btn-profile-new');
+  const btnProfileDelete  = document.getElementById('btn-profile-delete');
+  const btnProfileSave    = document.getElementById('btn-profile-save');
+  const ruleSelect        = document.getElementById('rule-select');
+  const rulePatternInput  = document.getElementById('rule-pattern');
+  const ruleContentInput  = document.getElementById('rule-content');
+  const ruleTitleInput    = document.getElementById('rule-title');
+  const ruleRemoveInput   = document.getElementById('rule-remove');
+  const ruleReplaceInput  = document.getElementById('rule-replacements');
+  const btnRuleSave       = document.getElementById('btn-rule-save');
+  const btnRuleDelete     = document.getElementById('btn-rule-delete');
+  const btnRuleExport     = document.getElementById('btn-rule-export');
+  const btnRuleImport     = document.getElementById('btn-rule-import');
+  const ruleImportFile    = document.getElementById('rule-import-file');
+  const linkStripInput    = document.getElementById('link-strip');
+  const linkRedirectInput = document.getElementById('link-redirectors');
+  const linkShortInput    = document.getElementById('link-short');
+  const linkShopeeInput   = document.getElementById('link-shopee');
+  const linkTiktokInput   = document.getElementById('link-tiktok');
+  const btnLinkRulesSave  = document.getElementById('btn-link-rules-save');
+  const btnLinkRulesReset = document.getElementById('btn-link-rules-reset');
 
   let mode = 'full'; // 'full' | 'selection'
   let extractedMarkdown = '';
+  // The extraction behind the result: its tree and options are re-rendered for the ZIP export
+  let extractedFile = { title: '', format: 'markdown' };
+  let aiEdited = false;
+  // Choices from the image review, applied to the extracted tree whenever it is re-rendered
+  let review = { cover: '', alts: new Map(), removed: new Set() };
+  // Links the extraction rewrote, and short links still waiting for the network
+  let linkReport = { rewritten: [], short: [] };
 
   // ── Load saved API key ──
   chrome.storage.local.get('geminiApiKey', (data) => {
@@ -49,6 +123,279 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  // ── Frontmatter profiles ──
+  let profiles = DEFAULT_PROFILES;
+  let activeProfileId = DEFAULT_PROFILES[0].id;
+
+  profileHint.textContent =
+    `Biến: ${PLACEHOLDERS.map(p => `{{${p}}}`).join(' ')} · Giá trị mặc định: {{excerpt|Không có mô tả}}`;
+
+  chrome.storage.local.get(['frontmatterProfiles', 'activeProfileId'], (data) => {
+    if (Array.isArray(data.frontmatterProfiles) && data.frontmatterProfiles.length) {
+      profiles = data.frontmatterProfiles;
+    }
+    activeProfileId = profiles.some(p => p.id === data.activeProfileId) ? data.activeProfileId : profiles[0].id;
+    renderProfileOptions();
+    loadProfileEditor(activeProfileId);
+  });
+
+  function renderProfileOptions() {
+    for (const select of [profileSelect, profileEditSelect]) {
+      select.textContent = '';
+      for (const p of profiles) select.add(new Option(p.name, p.id));
+    }
+    profileSelect.value = activeProfileId;
+  }
+
+  function loadProfileEditor(id) {
+    const profile = profiles.find(p => p.id === id) || profiles[0];
+    profileEditSelect.value  = profile.id;
+    profileNameInput.value   = profile.name;
+    profileFieldsInput.value = formatFields(profile.fields);
+  }
+
+  function saveProfiles(message, editId) {
+    chrome.storage.local.set({ frontmatterProfiles: profiles, activeProfileId }, () => {
+      renderProfileOptions();
+      loadProfileEditor(editId);
+      showStatus(message, 'success');
+      setTimeout(hideStatus, 2000);
+    });
+  }
+
+  profileSelect.addEventListener('change', () => {
+    activeProfileId = profileSelect.value;
+    chrome.storage.local.set({ activeProfileId });
+  });
+
+  profileEditSelect.addEventListener('change', () => loadProfileEditor(profileEditSelect.value));
+
+  // ── Output format ──
+  const updateFlavorRow = () => flavorRow.classList.toggle('hidden', formatSelect.value !== 'markdown');
+
+  chrome.storage.local.get(['outputFormat', 'markdownFlavor'], (data) => {
+    if (data.outputFormat) formatSelect.value = data.outputFormat;
+    if (data.markdownFlavor) flavorSelect.value = data.markdownFlavor;
+    updateFlavorRow();
+  });
+
+  formatSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ outputFormat: formatSelect.value });
+    updateFlavorRow();
+  });
+
+  flavorSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ markdownFlavor: flavorSelect.value });
+  });
+
+  // ── Embed, video/audio and link output ──
+  chrome.storage.local.get(['embedMode', 'mediaMode', 'linkStyle'], (data) => {
+    if (data.embedMode) embedModeSelect.value = data.embedMode;
+    if (data.mediaMode) mediaModeSelect.value = data.mediaMode;
+    if (data.linkStyle) linkStyleSelect.value = data.linkStyle;
+  });
+
+  embedModeSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ embedMode: embedModeSelect.value });
+  });
+
+  mediaModeSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ mediaMode: mediaModeSelect.value });
+  });
+
+  linkStyleSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ linkStyle: linkStyleSelect.value });
+  });
+
+  // ── Images in the ZIP export ──
+  const readImageSettings = () => normalizeImageSettings({
+    format: imageFormatSelect.value,
+    maxWidth: imageWidthInput.value,
+    quality: imageQualityInput.value,
+  });
+  const updateImageRow = () => imageSizeRow.classList.toggle('hidden', imageFormatSelect.value === 'none');
+
+  chrome.storage.local.get('imageSettings', (data) => {
+    const settings = normalizeImageSettings(data.imageSettings);
+    imageFormatSelect.value = settings.format;
+    imageWidthInput.value   = settings.maxWidth;
+    imageQualityInput.value = settings.quality;
+    updateImageRow();
+  });
+
+  for (const input of [imageFormatSelect, imageWidthInput, imageQualityInput]) {
+    input.addEventListener('change', () => {
+      chrome.storage.local.set({ imageSettings: readImageSettings() });
+      updateImageRow();
+    });
+  }
+
+  btnProfileNew.addEventListener('click', () => {
+    const profile = {
+      id: `profile-${Date.now()}`,
+      name: 'Hồ sơ mới',
+      fields: parseFields(profileFieldsInput.value),
+    };
+    profiles = [...profiles, profile];
+    renderProfileOptions();
+    loadProfileEditor(profile.id);
+    profileNameInput.focus();
+  });
+
+  btnProfileSave.addEventListener('click', () => {
+    const name = profileNameInput.value.trim();
+    const fields = parseFields(profileFieldsInput.value);
+    if (!name || !fields.length) {
+      showStatus('⚠️ Hồ sơ cần có tên và ít nhất một trường', 'error');
+      return;
+    }
+    const id = profileEditSelect.value;
+    profiles = profiles.map(p => (p.id === id ? { ...p, name, fields } : p));
+    saveProfiles(`✅ Đã lưu hồ sơ "${name}"`, id);
+  });
+
+  btnProfileDelete.addEventListener('click', () => {
+    if (profiles.length <= 1) {
+      showStatus('⚠️ Cần giữ lại ít nhất một hồ sơ', 'error');
+      return;
+    }
+    const id = profileEditSelect.value;
+    profiles = profiles.filter(p => p.id !== id);
+    if (activeProfileId === id) activeProfileId = profiles[0].id;
+    saveProfiles('🗑️ Đã xóa hồ sơ', activeProfileId);
+  });
+
+  // ── Site rules ──
+  let siteRules = [];
+
+  chrome.storage.local.get('siteRules', (data) => {
+    if (Array.isArray(data.siteRules)) siteRules = data.siteRules;
+    renderRuleOptions();
+    loadRuleEditor('');
+  });
+
+  function renderRuleOptions() {
+    ruleSelect.textContent = '';
+    ruleSelect.add(new Option('➕ Quy tắc mới', ''));
+    for (const rule of siteRules) ruleSelect.add(new Option(rule.pattern, rule.id));
+  }
+
+  async function loadRuleEditor(id) {
+    const rule = siteRules.find(r => r.id === id);
+    ruleSelect.value = rule ? rule.id : '';
+    rulePatternInput.value = rule?.pattern || '';
+    ruleContentInput.value = rule?.contentSelector || '';
+    ruleTitleInput.value   = rule?.titleSelector || '';
+    ruleRemoveInput.value  = (rule?.removeSelectors || []).join('\n');
+    ruleReplaceInput.value = formatReplacements(rule?.replacements);
+
+    // New rules start from the current tab's hostname
+    if (!rule) {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      try { rulePatternInput.value = new URL(tab.url).hostname.replace(/^www\./, ''); } catch { /* chrome:// etc. */ }
+    }
+  }
+
+  function saveRules(message, editId) {
+    chrome.storage.local.set({ siteRules }, () => {
+      renderRuleOptions();
+      loadRuleEditor(editId);
+      showStatus(message, 'success');
+      setTimeout(hideStatus, 2000);
+    });
+  }
+
+  ruleSelect.addEventListener('change', () => loadRuleEditor(ruleSelect.value));
+
+  btnRuleSave.addEventListener('click', () => {
+    const rule = normalizeRule({
+      id: ruleSelect.value || undefined,
+      pattern: rulePatternInput.value,
+      contentSelector: ruleContentInput.value,
+      titleSelector: ruleTitleInput.value,
+      removeSelectors: ruleRemoveInput.value,
+      replacements: parseReplacements(ruleReplaceInput.value),
+    });
+    if (!rule) {
+      showStatus('⚠️ Vui lòng nhập tên miền hoặc mẫu URL', 'error');
+      return;
+    }
+    const selectors = [rule.contentSelector, rule.titleSelector, ...rule.removeSelectors].filter(Boolean);
+    const invalid = selectors.find(sel => !isValidSelector(sel));
+    if (invalid) {
+      showStatus(`⚠️ Selector không hợp lệ: ${invalid}`, 'error');
+      return;
+    }
+    const exists = siteRules.some(r => r.id === rule.id);
+    siteRules = exists ? siteRules.map(r => (r.id === rule.id ? rule : r)) : [...siteRules, rule];
+    saveRules(`✅ Đã lưu quy tắc cho ${rule.pattern}`, rule.id);
+  });
+
+  btnRuleDelete.addEventListener('click', () => {
+    if (!ruleSelect.value) return;
+    siteRules = siteRules.filter(r => r.id !== ruleSelect.value);
+    saveRules('🗑️ Đã xóa quy tắc', '');
+  });
+
+  btnRuleExport.addEventListener('click', () => {
+    saveFile(new Blob([exportRules(siteRules)], { type: 'application/json' }), 'site-rules.json');
+  });
+
+  btnRuleImport.addEventListener('click', () => ruleImportFile.click());
+
+  // Imported rules replace existing ones with the same pattern; others are appended
+  ruleImportFile.addEventListener('change', async () => {
+    const file = ruleImportFile.files[0];
+    ruleImportFile.value = '';
+    if (!file) return;
+    try {
+      const imported = importRules(await file.text());
+      const patterns = new Set(imported.map(r => r.pattern));
+      siteRules = [...siteRules.filter(r => !patterns.has(r.pattern)), ...imported];
+      saveRules(`✅ Đã nhập ${imported.length} quy tắc`, '');
+    } catch (err) {
+      showStatus(`❌ ${err.message}`, 'error');
+    }
+  });
+
+  // ── Link rules ──
+  let linkRules = normalizeLinkRules(DEFAULT_LINK_RULES);
+
+  function loadLinkRulesEditor() {
+    linkStripInput.value    = linkRules.stripParams.join('\n');
+    linkRedirectInput.value = formatRedirectors(linkRules.redirectors);
+    linkShortInput.value    = linkRules.shortLinks.join('\n');
+    linkShopeeInput.value   = linkRules.affiliates.shopee;
+    linkTiktokInput.value   = linkRules.affiliates.tiktok;
+  }
+
+  chrome.storage.local.get('linkRules', (data) => {
+    if (data.linkRules) linkRules = normalizeLinkRules(data.linkRules);
+    loadLinkRulesEditor();
+  });
+
+  const lines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+  btnLinkRulesSave.addEventListener('click', () => {
+    linkRules = normalizeLinkRules({
+      stripParams: lines(linkStripInput.value),
+      redirectors: parseRedirectors(linkRedirectInput.value),
+      shortLinks: lines(linkShortInput.value),
+      affiliates: { shopee: linkShopeeInput.value, tiktok: linkTiktokInput.value },
+    });
+    chrome.storage.local.set({ linkRules }, () => {
+      loadLinkRulesEditor();
+      showStatus('✅ Đã lưu quy tắc link', 'success');
+      setTimeout(hideStatus, 2000);
+    });
+  });
+
+  // Defaults for the lists; the affiliate templates are the site's own and stay
+  btnLinkRulesReset.addEventListener('click', () => {
+    linkRules = normalizeLinkRules({ ...DEFAULT_LINK_RULES, affiliates: linkRules.affiliates });
+    loadLinkRulesEditor();
+  });
+
   // ── Mode switching ──
   btnFullPage.addEventListener('click', () => {
     mode = 'full';
@@ -70,7 +417,16 @@ document.addEventListener('DOMContentLoaded', () => {
       includeImages:    document.getElementById('opt-images').checked,
       includeLinks:     document.getElementById('opt-links').checked,
       includeTables:    document.getElementById('opt-tables').checked,
+      includeSvg:       document.getElementById('opt-svg').checked,
       includeFrontmatter: document.getElementById('opt-frontmatter').checked,
+      frontmatterProfile: profiles.find(p => p.id === profileSelect.value) || profiles[0],
+      embedMode:        embedModeSelect.value,
+      mediaMode:        mediaModeSelect.value,
+      linkStyle:        linkStyleSelect.value,
+      format:           formatSelect.value,
+      flavor:           flavorSelect.value,
+      linkRules:        document.getElementById('opt-link-rules').checked ? linkRules : null,
+      siteRules,
     };
   }
 
@@ -115,7 +471,7 @@ document.addEventListener('DOMContentLoaded', () => {
         });
 
         if (results?.[0]?.result) {
-          displayResult(results[0].result);
+          displayResult(results[0].result, options, tab.id);
         } else {
           showStatus('❌ Không thể trích xuất nội dung', 'error');
         }
@@ -150,8 +506,10 @@ document.addEventListener('DOMContentLoaded', () => {
               if (result.cancelled) {
                 showStatus('⚠️ Đã hủy chọn vùng', 'error');
                 setTimeout(hideStatus, 2000);
+              } else if (result.error) {
+                showStatus(`❌ Lỗi: ${result.error}`, 'error');
               } else {
-                displayResult(result);
+                displayResult(result, options, tab.id);
               }
             }
           } catch {
@@ -172,19 +530,212 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   // ── Display result ──
-  function displayResult(data) {
-    extractedMarkdown = data.markdown;
+  function displayResult(data, options, tabId) {
+    extractedMarkdown = data.content;
+    extractedFile = {
+      title: data.title, format: data.format, url: data.url, metadata: data.metadata, document: data.document, options, tabId,
+    };
+    aiEdited = false;
+    review = { cover: data.metadata?.coverImage || '', alts: new Map(), removed: new Set() };
+    renderImageReview();
+    const { extension } = FORMATS[data.format];
     resultText.value = extractedMarkdown;
     resultSection.classList.remove('hidden');
+    resultTitle.textContent = `📋 Kết quả ${formatSelect.selectedOptions[0]?.textContent || 'Markdown'}`;
+    btnDownload.textContent = `💾 Tải .${extension}`;
+    btnDownload.title = `Tải file .${extension}`;
 
     statChars.textContent  = `${data.charCount.toLocaleString()} ký tự`;
-    statImages.textContent = `${data.imageCount} ảnh`;
+    statChars.title = data.timings
+      ? Object.entries(data.timings).map(([phase, ms]) => `⏱ ${phase}: ${ms} ms`).join('\n')
+      : '';
+    // Hover lists the images left out (duplicates, tracking pixels, icons) and why
+    const skipped = data.skippedImages || [];
+    statImages.textContent = skipped.length ? `${data.imageCount} ảnh (bỏ ${skipped.length})` : `${data.imageCount} ảnh`;
+    statImages.title = skipped.map(s => `[${s.reason}] ${s.url}`).join('\n');
     statLinks.textContent  = `${data.linkCount} link`;
+    statEmbeds.textContent = data.embedCount ? `${data.embedCount} embed` : '';
+    statMedia.textContent = data.mediaCount ? `${data.mediaCount} video/audio` : '';
+
+    // Cleanup report: hover lists each dropped block so lost content is easy to spot
+    const removed = data.removed || [];
+    statRemoved.textContent = removed.length ? `🧹 ${removed.length} khối đã lọc` : '';
+    statRemoved.title = removed.map(r => `${r.element} [${r.reasons.join(', ')}] ${r.text}`).join('\n');
+
+    linkReport = { rewritten: data.rewrittenLinks || [], short: data.shortLinks || [] };
+    showLinkReport();
+
+    // Show which container was extracted; hover lists the scored candidates
+    const detection = data.detection;
+    statSource.textContent = detection ? `📦 ${detection.element}` : '';
+    statSource.title = detection
+      ? [`Phương pháp: ${detection.method}`, ...detection.candidates.map(c => `${c.element} — ${c.score}`)].join('\n')
+      : '';
 
     showStatus(`✅ Trích xuất thành công: "${data.title}"`, 'success');
     setTimeout(hideStatus, 3000);
   }
 
+  // ── Link report ──
+  // Hover lists each rewritten link; short links are resolved on request (it takes host access)
+  function showLinkReport() {
+    const { rewritten, short } = linkReport;
+    statRewritten.textContent = rewritten.length ? `🔁 ${rewritten.length} link đã sửa` : '';
+    statRewritten.title = rewritten.map(r => `[${r.reasons.join(', ')}] ${r.from} → ${r.to}`).join('\n');
+    shortLinksBar.classList.toggle('hidden', short.length === 0);
+    shortLinksText.textContent = `⚠️ ${short.length} link rút gọn chưa biết đích`;
+    shortLinksBar.title = short.join('\n');
+  }
+
+  btnResolveLinks.addEventListener('click', async () => {
+    const short = linkReport.short;
+    if (!short.length) return;
+    // Redirects may lead to any site, and every hop needs host access
+    if (!(await chrome.permissions.request({ origins: ['https://*/*', 'http://*/*'] }))) {
+      showStatus('⚠️ Cần quyền truy cập trang web để mở link rút gọn', 'error');
+      return;
+    }
+
+    btnResolveLinks.disabled = true;
+    showStatus(`⏳ Đang mở ${short.length} link rút gọn...`, 'loading');
+    try {
+      const resolved = await resolveShortLinks(short);
+      const rules = normalizeLinkRules(extractedFile.options.linkRules);
+      const urls = new Map();
+      for (const [from, target] of resolved) {
+        const { url, reasons } = rewriteLink(target, rules, extractedFile.url);
+        urls.set(from, url);
+        linkReport.rewritten.push({ from, to: url, reasons: ['short', ...reasons] });
+      }
+      linkReport.short = short.filter(url => !resolved.has(url));
+      extractedFile.document = replaceLinks(extractedFile.document, urls);
+      // AI output is Markdown that kept the links; an untouched result is re-rendered from its tree
+      if (aiEdited) {
+        extractedMarkdown = [...urls].reduce((text, [from, to]) => text.replaceAll(`(${safeMarkdownUrl(from)})`, `(${safeMarkdownUrl(to)})`), extractedMarkdown);
+        resultText.value = extractedMarkdown;
+      } else {
+        rerender();
+      }
+      showLinkReport();
+
+      if (linkReport.short.length) {
+        showStatus(`⚠️ Mở được ${resolved.size}/${short.length} link; còn lại giữ nguyên`, 'error');
+      } else {
+        showStatus(`✅ Đã mở ${resolved.size} link rút gọn`, 'success');
+        setTimeout(hideStatus, 3000);
+      }
+    } catch (err) {
+      showStatus(`❌ Lỗi: ${err.message}`, 'error');
+    } finally {
+      btnResolveLinks.disabled = false;
+    }
+  });
+
+  // ── Image review ──
+  // Every image of the result as a card: pick the cover, fix alt text, drop what doesn't belong
+  const ALT_ISSUES = { missing: 'Thiếu alt', filename: 'Alt giống tên file' };
+
+  /** The extracted tree with the review's alt text and removals applied. */
+  function reviewedDocument() {
+    const alts = new Map([...review.alts].map(([url, alt]) => [url, { alt }]));
+    return removeImages(rewriteImages(extractedFile.document, alts), review.removed);
+  }
+
+  /** The `{ metadata, url }` renderDocument() takes, with the chosen cover. */
+  const reviewedSource = () => ({ url: extractedFile.url, metadata: { ...extractedFile.metadata, coverImage: review.cover } });
+
+  function rerender() {
+    if (aiEdited) return;
+    extractedMarkdown = renderDocument(reviewedDocument(), extractedFile.options, reviewedSource());
+    resultText.value = extractedMarkdown;
+    statChars.textContent = `${extractedMarkdown.length.toLocaleString()} ký tự`;
+  }
+
+  function updateReviewTitle() {
+    const kept = listImages(extractedFile.document).filter(image => !review.removed.has(image.url));
+    const flagged = kept.filter(image => altTextIssue(review.alts.get(image.url) ?? image.alt, image.url)).length;
+    imageReviewTitle.textContent = `🖼️ Ảnh trong bài: ${kept.length}${flagged ? ` · ⚠️ ${flagged} ảnh cần sửa alt` : ''}`;
+  }
+
+  function imageCard(image, coverOnly) {
+    const card = document.createElement('div');
+    card.className = 'image-card';
+    const thumb = document.createElement('img');
+    thumb.className = 'image-thumb';
+    thumb.src = image.url;
+    thumb.alt = '';
+    thumb.loading = 'lazy';
+    thumb.title = image.url;
+
+    const cover = document.createElement('label');
+    cover.className = 'image-cover';
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'cover-image';
+    radio.checked = image.url === review.cover;
+    radio.addEventListener('change', () => {
+      review.cover = image.url;
+      rerender();
+    });
+    cover.append(radio, coverOnly ? 'Ảnh bìa (og:image)' : 'Ảnh bìa');
+    card.append(thumb, cover);
+    if (coverOnly) return card;
+
+    const alt = document.createElement('input');
+    alt.type = 'text';
+    alt.className = 'image-alt';
+    alt.value = image.alt;
+    alt.placeholder = 'Mô tả ảnh (alt)';
+    const flag = document.createElement('span');
+    flag.className = 'image-flag';
+    const updateFlag = () => {
+      const issue = altTextIssue(alt.value, image.url);
+      card.classList.toggle('flagged', Boolean(issue));
+      flag.textContent = issue ? `⚠️ ${ALT_ISSUES[issue]}` : '';
+    };
+    alt.addEventListener('input', updateFlag);
+    alt.addEventListener('change', () => {
+      review.alts.set(image.url, alt.value.trim());
+      updateReviewTitle();
+      rerender();
+    });
+    updateFlag();
+
+    const remove = document.createElement('button');
+    remove.className = 'image-remove';
+    const updateRemove = () => {
+      const removed = review.removed.has(image.url);
+      card.classList.toggle('removed', removed);
+      remove.textContent = removed ? '↺' : '✕';
+      remove.title = removed ? 'Giữ lại ảnh' : 'Bỏ ảnh khỏi bài';
+    };
+    remove.addEventListener('click', () => {
+      if (review.removed.has(image.url)) review.removed.delete(image.url);
+      else review.removed.add(image.url);
+      updateRemove();
+      updateReviewTitle();
+      rerender();
+    });
+    updateRemove();
+
+    card.append(alt, flag, remove);
+    return card;
+  }
+
+  function renderImageReview() {
+    const images = listImages(extractedFile.document);
+    imageGrid.textContent = '';
+    imageReview.classList.remove('locked');
+    imageReview.title = '';
+    imageReview.classList.toggle('hidden', images.length === 0 && !review.cover);
+    // A cover from og:image that isn't in the article comes first
+    if (review.cover && !images.some(image => image.url === review.cover)) {
+      imageGrid.append(imageCard({ url: review.cover }, true));
+    }
+    for (const image of images) imageGrid.append(imageCard(image, false));
+    updateReviewTitle();
+  }
+
   // ── Copy button ──
   btnCopy.addEventListener('click', async () => {
     if (!extractedMarkdown) return;
@@ -200,24 +751,117 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   // ── Download button ──
+  // Only Markdown carries the frontmatter title; other formats are named after the page
+  const downloadName = () => markdownFilename(extractedMarkdown, slugify(extractedFile.title || '') || undefined);
+
+  function saveFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a   = document.createElement('a');
+    a.href = url; a.download = filename; a.click();
+    URL.revokeObjectURL(url);
+  }
+
   btnDownload.addEventListener('click', () => {
     if (!extractedMarkdown) return;
-    const titleMatch = extractedMarkdown.match(/^title:\s*"?(.+?)"?\s*$/m);
-    let filename = titleMatch ? titleMatch[1].trim() : 'blog-post';
-    filename = filename
-      .toLowerCase()
-      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
-      .replace(/đ/g, 'd')
-      .replace(/[^a-z0-9\s-]/g, '')
-      .trim().replace(/\s+/g, '-').slice(0, 50);
-
-    const blob = new Blob([extractedMarkdown], { type: 'text/markdown' });
-    const url  = URL.createObjectURL(blob);
-    const a    = document.createElement('a');
-    a.href = url; a.download = `${filename}.md`; a.click();
-    URL.revokeObjectURL(url);
+    const { extension, mimeType } = FORMATS[extractedFile.format];
+    saveFile(new Blob([extractedMarkdown], { type: mimeType }), `${downloadName()}.${extension}`);
     btnDownload.textContent = '✅ Đã tải!';
-    setTimeout(() => { btnDownload.textContent = '💾 Tải .md'; }, 2000);
+    setTimeout(() => { btnDownload.textContent = `💾 Tải .${extension}`; }, 2000);
+  });
+
+  // ── Download with images (ZIP) ──
+  // The article plus images/<slug>-01.jpg... and a manifest.json of original URL -> file
+
+  /**
+   * fetch() run in the article's tab, for images the popup couldn't get:
+   * there the request carries the page as its Referer, which hotlink
+   * protection asks for. The body comes back as a data: URL.
+   */
+  function fetchFromTab(tabId) {
+    return async (url, init) => {
+      const [injection] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: async (src, opts) => {
+          try {
+            const res = await fetch(src, opts);
+            if (!res.ok) return { status: res.status };
+            const blob = await res.blob();
+            const dataUrl = await new Promise((resolve, reject) => {
+              const reader = new FileReader();
+              reader.onload = () => resolve(reader.result);
+              reader.onerror = () => reject(reader.error);
+              reader.readAsDataURL(blob);
+            });
+            return { status: res.status, type: res.headers.get('content-type') || '', dataUrl };
+          } catch (err) {
+            return { error: err.message };
+          }
+        },
+        args: [url, init],
+      });
+      const result = injection?.result;
+      if (!result || result.error) throw new Error(result?.error || 'Không tải được ảnh từ trang');
+      const body = result.dataUrl ? await (await fetch(result.dataUrl)).blob() : null;
+      return new Response(body, { status: result.status, headers: { 'content-type': result.type || '' } });
+    };
+  }
+
+  btnZip.addEventListener('click', async () => {
+    if (!extractedMarkdown || !extractedFile.document) return;
+    const doc = reviewedDocument();
+    const urls = collectImageUrls(doc);
+
+    // Image hosts need host access; ask while the click still counts as a user gesture
+    const origins = [...new Set(urls.map(url => `${new URL(url).origin}/*`))];
+    if (origins.length && !(await chrome.permissions.request({ origins }))) {
+      showStatus('⚠️ Cần quyền truy cập máy chủ ảnh để tải ảnh về', 'error');
+      return;
+    }
+
+    btnZip.disabled = true;
+    showStatus(`⏳ Đang tải ${urls.length} ảnh...`, 'loading');
+    try {
+      const name = downloadName();
+      const { extension } = FORMATS[extractedFile.format];
+      const retryFetch = extractedFile.tabId ? fetchFromTab(extractedFile.tabId) : null;
+      const { files: downloaded, failed } = await downloadImages(urls, name, { retryFetch });
+
+      // Resize and re-encode; an image the browser can't decode is kept as downloaded
+      const settings = readImageSettings();
+      const files = [];
+      for (const file of downloaded) {
+        if (settings.format !== 'none') showStatus(`⏳ Đang xử lý ảnh ${files.length + 1}/${downloaded.length}...`, 'loading');
+        files.push(await processImage(file, settings).catch(() => file));
+      }
+      const local = new Map(files.map(f => [f.url, { url: `./${f.path}`, ...(f.width && { width: f.width, height: f.height }) }]));
+
+      // A cover that was downloaded with the article points at its copy too
+      const source = reviewedSource();
+      source.metadata.coverImage = local.get(review.cover)?.url ?? review.cover;
+
+      // AI output is Markdown that kept the image URLs; an untouched result is re-rendered from its tree
+      const content = aiEdited
+        ? [...local].reduce((text, [url, image]) => text.replaceAll(`(${safeMarkdownUrl(url)})`, `(${image.url})`), extractedMarkdown)
+        : renderDocument(rewriteImages(doc, local), extractedFile.options, source);
+      const articleFile = `${name}.${extension}`;
+      const zip = createZip([
+        { name: articleFile, data: content },
+        ...files.map(f => ({ name: f.path, data: f.data })),
+        { name: 'manifest.json', data: buildManifest({ source: extractedFile.url, document: articleFile, files, failed }) },
+      ]);
+      saveFile(new Blob([zip], { type: 'application/zip' }), `${name}.zip`);
+
+      if (failed.length) {
+        showStatus(`⚠️ Tải được ${files.length}/${urls.length} ảnh; ${failed.length} ảnh giữ link gốc (xem manifest.json)`, 'error');
+      } else {
+        showStatus(`✅ Đã tải .zip kèm ${files.length} ảnh`, 'success');
+        setTimeout(hideStatus, 3000);
+      }
+    } catch (err) {
+      showStatus(`❌ Lỗi: ${err.message}`, 'error');
+    } finally {
+      btnZip.disabled = false;
+    }
   });
 
   // ── AI Processing ──────────────────────────────────────────────────────────
@@ -342,6 +986,10 @@ Nội dung cần xử lý:
       // Trim wrapping ```markdown ``` if AI adds them
       const cleaned = result.replace(/^```(?:markdown)?\n?/, '').replace(/\n?```$/, '').trim();
       extractedMarkdown = cleaned;
+      aiEdited = true;
+      // The review re-renders from the tree, which would throw the AI's text away
+      imageReview.classList.add('locked');
+      imageReview.title = 'Nội dung đã qua AI: trích xuất lại để sửa ảnh';
       resultText.value  = cleaned;
       statChars.textContent = `${cleaned.length.toLocaleString()} ký tự`;
       showAiStatus('✅ AI đã xử lý xong! Kiểm tra và copy nội dung phía trên.', 'success');
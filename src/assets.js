@@ -0,0 +1,157 @@
+/**
+ * Blog Content Extractor - Image assets
+ * Local copies of a document's images for the "export with images" ZIP:
+ * collects the remote image URLs of a document tree, downloads them under
+ * deterministic names (<slug>-01.jpg, <slug>-02.webp, ...) and rewrites the
+ * tree to point at the copies (image-pipeline.js may resize them first).
+ * Also backs the popup's image review: lists the images with their alt
+ * text checked, and applies edited alt text and removals to the tree.
+ */
+
+import { walk, mapDocument } from './tree.js';
+
+export const IMAGE_DIR = 'images';
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp',
+  'image/avif': 'avif', 'image/svg+xml': 'svg', 'image/bmp': 'bmp', 'image/x-icon': 'ico',
+};
+
+const URL_EXTENSION = /\.(jpe?g|png|gif|webp|avif|svg|bmp|ico)$/i;
+
+// Alt text that says nothing: the converter's fallback and its usual synonyms
+const GENERIC_ALTS = new Set(['image', 'img', 'photo', 'picture', 'pic', 'ảnh', 'hình', 'hình ảnh']);
+// Camera, phone and screenshot file names: IMG_1234, DSC01234, PXL_2026..., Screenshot 2026-...
+const CAMERA_NAME = /^(?:img|dsc[fn]?|pxl|mvimg|photo|image|screenshot|screen shot|ảnh chụp màn hình)[\s_-]*\d/i;
+
+/** Remote (http/https) image URLs of a document tree, each once, in document order. */
+export function collectImageUrls(doc) {
+  const urls = new Set();
+  for (const node of walk([doc, ...doc.footnotes])) {
+    if (node.type === 'image' && /^https?:\/\//.test(node.url)) urls.add(node.url);
+  }
+  return [...urls];
+}
+
+/**
+ * Copy of a document tree with image nodes updated from `images`, a Map of
+ * original URL to the fields to set (the local `url`, `width`, `height`).
+ */
+export function rewriteImages(doc, images) {
+  return mapDocument(doc, (node) => (node.type === 'image' && images.has(node.url) ? { ...node, ...images.get(node.url) } : node));
+}
+
+/**
+ * Copy of a document tree without the images whose URL is in `urls` (a
+ * Set), nor the figures and links they leave empty.
+ */
+export function removeImages(doc, urls) {
+  return mapDocument(doc, (node) => {
+    if (node.type === 'image' && urls.has(node.url)) return null;
+    if (node.type === 'link' && node.children.length === 0) return null;
+    return node;
+  });
+}
+
+/**
+ * What is wrong with an image's alt text for readers and search engines:
+ * 'missing' (empty or a word like "image"), 'filename' (the file name or a
+ * camera name such as IMG_1234) or null when it reads as a description.
+ */
+export function altTextIssue(alt, url = '') {
+  const text = (alt || '').trim();
+  if (!text || GENERIC_ALTS.has(text.toLowerCase())) return 'missing';
+  if (URL_EXTENSION.test(text) || CAMERA_NAME.test(text) || /^[\da-f]{16,}$/i.test(text)) return 'filename';
+  let stem = '';
+  try { stem = decodeURIComponent(new URL(url).pathname.split('/').pop()).replace(/\.\w+$/, ''); } catch { /* no file name */ }
+  return stem && text.toLowerCase() === stem.toLowerCase() ? 'filename' : null;
+}
+
+/** Images of a document tree for review, each URL once, in document order: [{ url, alt, issue }]. */
+export function listImages(doc) {
+  const images = new Map();
+  for (const node of walk([doc, ...doc.footnotes])) {
+    if (node.type === 'image' && !images.has(node.url)) {
+      images.set(node.url, { url: node.url, alt: node.alt, issue: altTextIssue(node.alt, node.url) });
+    }
+  }
+  return [...images.values()];
+}
+
+/** File extension of a downloaded image: from its Content-Type, else its URL, else jpg. */
+export function imageExtension(url, mimeType = '') {
+  const fromType = MIME_EXTENSIONS[mimeType.split(';')[0].trim().toLowerCase()];
+  if (fromType) return fromType;
+  let path = url;
+  try { path = new URL(url).pathname; } catch { /* keep the raw URL */ }
+  const ext = path.match(URL_EXTENSION)?.[1].toLowerCase();
+  return ext === 'jpeg' ? 'jpg' : ext || 'jpg';
+}
+
+/** Path of the image at `index` (0-based) inside the export. */
+export function assetPath(slug, index, extension) {
+  return `${IMAGE_DIR}/${slug}-${String(index + 1).padStart(2, '0')}.${extension}`;
+}
+
+/** Body and type of an image fetched with `fetch`; throws on an error status or a non-image response. */
+async function fetchImage(url, fetch) {
+  // No cookies: the export must not carry the reader's session to image hosts
+  const res = await fetch(url, { credentials: 'omit' });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const mimeType = (res.headers.get('content-type') || '').split(';')[0].trim();
+  if (mimeType && !mimeType.startsWith('image/')) throw new Error(`Không phải ảnh (${mimeType})`);
+  return { mimeType, data: new Uint8Array(await res.arrayBuffer()) };
+}
+
+/**
+ * Download `urls` a few at a time. Files are numbered by position in
+ * `urls`, so names don't depend on which downloads finish first or fail.
+ * An image `fetch` can't get is tried once more with `retryFetch`, if
+ * given (the popup's fetches from the article's tab, which passes the
+ * Referer checks of hotlink-protected hosts); a failure keeps the first
+ * error. Returns { files: [{ url, path, mimeType, data }], failed:
+ * [{ url, error }] } in the order of `urls`.
+ */
+export async function downloadImages(urls, slug, { fetch = globalThis.fetch, retryFetch = null, concurrency = 4 } = {}) {
+  const results = new Array(urls.length);
+  let next = 0;
+
+  const download = async (url, index) => {
+    let image;
+    try {
+      image = await fetchImage(url, fetch);
+    } catch (err) {
+      if (!retryFetch) throw err;
+      try { image = await fetchImage(url, retryFetch); } catch { throw err; }
+    }
+    return { url, path: assetPath(slug, index, imageExtension(url, image.mimeType)), ...image };
+  };
+
+  const worker = async () => {
+    while (next < urls.length) {
+      const index = next++;
+      const url = urls[index];
+      try {
+        results[index] = await download(url, index);
+      } catch (err) {
+        results[index] = { url, error: err.message };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+
+  return {
+    files: results.filter(r => !r.error),
+    failed: results.filter(r => r.error),
+  };
+}
+
+/** manifest.json of an export: original URL to local file, plus the images left remote. */
+export function buildManifest({ source, document, files, failed }) {
+  return JSON.stringify({
+    source,
+    document,
+    images: Object.fromEntries(files.map(f => [f.url, f.path])),
+    failed: failed.map(({ url, error }) => ({ url, error })),
+  }, null, 2) + '\n';
+}
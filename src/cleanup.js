@@ -0,0 +1,120 @@
+/**
+ * Blog Content Extractor - Noise removal
+ * Drops boilerplate (share bars, related posts, newsletter forms, ads...)
+ * from the detached snapshot before conversion.
+ */
+
+import { describeElement, getLinkDensity } from './detect.js';
+
+// Class/id words that mark boilerplate. Matched as whole words of the
+// class/id ("ad" matches "ad-slot" but not "header" or "download").
+const NOISE_SIGNALS = [
+  { reason: 'share', weight: 3, words: ['share', 'sharing', 'social', 'sharedaddy', 'addtoany', 'a2a'] },
+  { reason: 'related', weight: 3, words: ['related', 'yarpp', 'crp', 'more-posts', 'read-more', 'xem-them', 'recommended'] },
+  { reason: 'newsletter', weight: 3, words: ['newsletter', 'subscribe', 'subscription', 'signup', 'mailchimp', 'optin'] },
+  { reason: 'ad', weight: 3, words: ['ad', 'ads', 'advert', 'advertisement', 'adsbygoogle', 'google-ad', 'sponsored', 'quangcao'] },
+  { reason: 'comments', weight: 3, words: ['comment', 'comments', 'comment-section', 'disqus', 'respond'] },
+  { reason: 'author-bio', weight: 2, words: ['author-bio', 'author-box', 'about-author', 'author-info'] },
+  { reason: 'navigation', weight: 2, words: ['breadcrumb', 'breadcrumbs', 'pagination', 'pager', 'post-navigation', 'nav-links', 'menu'] },
+  { reason: 'toc', weight: 2, words: ['toc', 'table-of-contents', 'ez-toc', 'lwptoc'] },
+  { reason: 'widget', weight: 2, words: ['sidebar', 'widget', 'popup', 'modal', 'cookie', 'gdpr', 'tag-cloud'] },
+];
+
+// Compile each word list into one regex. Words are delimited by start/end,
+// whitespace, "-" or "_", so multi-word names like "more-posts" still match.
+const NOISE_MATCHERS = NOISE_SIGNALS.map(signal => ({
+  ...signal,
+  re: new RegExp(`(?:^|[\\s_-])(?:${signal.words.map(w => w.replace(/-/g, '[-_]')).join('|')})(?=$|[\\s_-])`, 'i'),
+}));
+
+const NOISE_HEADINGS = /^(bài viết liên quan|tin liên quan|có thể bạn quan tâm|xem thêm|đọc thêm|bài viết cùng chủ đề|related( posts| articles)?|you (may|might) also like|read (more|next)|more from|share this|chia sẻ( bài viết)?|đăng ký nhận tin)/i;
+const SHARE_TEXT = /^(share|chia sẻ|facebook|twitter|x|pinterest|linkedin|zalo|messenger|email|copy link|tweet|whatsapp|telegram|[\s:|•·,])+$/i;
+const CLEANUP_TAGS = new Set(['div', 'section', 'aside', 'nav', 'ul', 'ol', 'p', 'form', 'footer', 'header', 'figure', 'span']);
+const NOISE_THRESHOLD = 4;
+
+/**
+ * Score how much an element looks like boilerplate. Positive signals:
+ * class/id words, a "Related posts"-style heading, email forms, share-only
+ * text and high link density. Substantial paragraphs pull the score back
+ * down, so real content inside a noisily-named wrapper survives.
+ */
+function scoreNoise(el) {
+  const reasons = [];
+  let score = 0;
+
+  const names = `${el.className?.toString() || ''} ${el.id || ''}`;
+  for (const signal of NOISE_MATCHERS) {
+    if (signal.re.test(names)) {
+      score += signal.weight;
+      reasons.push(signal.reason);
+    }
+  }
+
+  const text = el.textContent.replace(/\s+/g, ' ').trim();
+  const heading = el.querySelector('h2, h3, h4, h5, h6, .widget-title, .section-title');
+  if (heading && NOISE_HEADINGS.test(heading.textContent.trim())) {
+    score += 3;
+    reasons.push('heading');
+  }
+
+  if (el.querySelector('input[type="email"], input[name*="email"]')) {
+    score += 4;
+    reasons.push('email-form');
+  }
+
+  if (text && text.length < 120 && SHARE_TEXT.test(text)) {
+    score += 3;
+    reasons.push('share-text');
+  }
+
+  if (el.querySelectorAll('a').length >= 3) {
+    const density = getLinkDensity(el);
+    if (density >= 0.6) { score += 2; reasons.push('link-density'); }
+    else if (density >= 0.4) { score += 1; reasons.push('link-density'); }
+  }
+
+  // Real paragraphs argue against removal
+  let paragraphs = el.tagName.toLowerCase() === 'p' ? [el] : [...el.querySelectorAll('p')];
+  paragraphs = paragraphs.filter(p => p.textContent.trim().length >= 80 && getLinkDensity(p) < 0.3);
+  score -= Math.min(paragraphs.length, 4);
+
+  return { score, reasons, text };
+}
+
+/**
+ * Remove boilerplate from a detached clone before conversion. Site-rule
+ * selectors are removed unconditionally; everything else is scored by
+ * scoreNoise(). Returns a report of what was dropped and why.
+ */
+export function removeNoise(root, removeSelector) {
+  const removed = [];
+  const drop = (el, reasons, score, text = el.textContent.replace(/\s+/g, ' ').trim()) => {
+    removed.push({ element: describeElement(el), reasons, score, text: text.slice(0, 80) });
+    el.remove();
+  };
+
+  if (removeSelector) {
+    for (const el of root.querySelectorAll(removeSelector)) {
+      if (root.contains(el)) drop(el, ['site-rule'], null);
+    }
+  }
+
+  const visit = (parent) => {
+    for (const el of [...parent.children]) {
+      const tag = el.tagName.toLowerCase();
+      // Plain paragraphs and spans are text, not boilerplate wrappers
+      if ((tag === 'p' || tag === 'span') && !el.className && !el.id) continue;
+      if (CLEANUP_TAGS.has(tag)) {
+        const { score, reasons, text } = scoreNoise(el);
+        if (score >= NOISE_THRESHOLD) {
+          drop(el, reasons, score, text);
+          continue;
+        }
+      }
+      visit(el);
+    }
+  };
+  visit(root);
+
+  return removed;
+}
@@ -0,0 +1,150 @@
+/**
+ * Blog Content Extractor - Code blocks
+ * Reads code out of syntax-highlighter markup (Prism, highlight.js,
+ * GitHub, SyntaxHighlighter, Rouge, Chroma/Pygments, Enlighter) without
+ * their line-number gutters or copy buttons, and writes it as a fenced
+ * Markdown block with the language it was highlighted as. Mermaid diagram
+ * sources become ```mermaid blocks.
+ */
+
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+
+// Highlighters that render one block without a single <pre> holding the code
+// (line-per-div or gutter-table layouts)
+const CODE_CONTAINER_SELECTOR = [
+  'div.syntaxhighlighter',   // SyntaxHighlighter 3+
+  'table.hljs-ln',           // highlightjs-line-numbers
+  'table.lntable',           // Hugo / Chroma with table line numbers
+  'table.highlighttable',    // Pygments
+  'table.rouge-table',       // Jekyll / Rouge
+  'div.crayon-syntax',       // Crayon
+].join(', ');
+
+// Line numbers and toolbars that live inside the highlighted block
+const CODE_CHROME_SELECTOR = [
+  '.gutter', '.line-numbers-rows', '.linenos', '.lineno', '.linenodiv', '.hljs-ln-numbers',
+  '.crayon-nums', '.crayon-toolbar', '.ln', '.lnt', '.rouge-gutter', '.blob-num',
+  'button', '.copy', '.copy-button', '.copy-code', '.code-copy', '.btn-copy',
+  '.copy-to-clipboard-button', '.toolbar', '.enlighter-toolbar',
+].join(', ');
+
+// Elements that end a line in line-per-element highlighters
+const LINE_TAGS = new Set(['div', 'p', 'tr', 'li']);
+
+// Layout elements whose whitespace-only text is markup indentation, not code
+const LAYOUT_TAGS = new Set([...LINE_TAGS, 'table', 'thead', 'tbody', 'td', 'th']);
+
+// Class / attribute values that mean "no particular language"
+const NO_LANGUAGE = new Set(['plain', 'plaintext', 'text', 'txt', 'none', 'nohighlight', 'no-highlight', 'auto']);
+
+const LANGUAGE_ATTRS = ['data-lang', 'data-language', 'data-enlighter-language', 'lang'];
+
+const CLASS_PATTERNS = [
+  /(?:^|\s)(?:language|lang)-([\w#+.-]+)/,   // Prism, highlight.js 10+, markdown renderers, Rouge
+  /(?:^|\s)highlight-(?:source|text)-([\w#+.-]+?)(?:-basic)?(?:\s|$)/, // GitHub
+  /(?:^|\s)brush:\s*([\w#+.-]+)/,            // SyntaxHighlighter (<pre class="brush: php; gutter: true">)
+];
+
+// Diagram sources Mermaid replaces with an <svg> once it has run
+const MERMAID_SELECTOR = 'pre.mermaid, div.mermaid';
+
+/** True for Mermaid diagram containers (rendered or not). */
+export function isMermaidDiagram(el) {
+  return el.matches(MERMAID_SELECTOR);
+}
+
+/**
+ * Source of a Mermaid diagram, or '' once Mermaid has rendered it: the
+ * library keeps nothing but the SVG.
+ */
+export function mermaidSource(el) {
+  return el.querySelector('svg') ? '' : extractCode(el);
+}
+
+/** True for highlighter wrappers that must be converted as one code block. */
+export function isCodeContainer(el) {
+  return el.matches(CODE_CONTAINER_SELECTOR);
+}
+
+function languageFromElement(el) {
+  for (const attr of LANGUAGE_ATTRS) {
+    // `lang` on <html>/<article> is a human language, only trust it on code
+    if (attr === 'lang' && !['code', 'pre'].includes(el.tagName.toLowerCase())) continue;
+    const value = el.getAttribute(attr)?.trim();
+    if (value) return value;
+  }
+  const className = el.getAttribute('class') || '';
+  for (const pattern of CLASS_PATTERNS) {
+    const match = className.match(pattern);
+    if (match) return match[1];
+  }
+  // highlight.js < 10 and SyntaxHighlighter 3 put the bare language next to their marker class
+  const classes = className.split(/\s+/).filter(Boolean);
+  if (classes.includes('hljs') || classes.includes('syntaxhighlighter')) {
+    return classes.find(c => c !== 'hljs' && c !== 'syntaxhighlighter' && !c.startsWith('hljs-')) || '';
+  }
+  return '';
+}
+
+// Wrappers worth reading a language from (not an arbitrary post container)
+const HIGHLIGHT_WRAPPER = /highlight|code|syntax/i;
+
+/**
+ * Language of a code block: the <code> and <pre> inside it first, then the
+ * block itself and up to two highlighter wrappers (GitHub and Rouge put it
+ * there).
+ */
+export function detectCodeLanguage(block) {
+  const wrappers = [block.parentElement, block.parentElement?.parentElement]
+    .filter(el => el && HIGHLIGHT_WRAPPER.test(el.getAttribute('class') || ''));
+  const candidates = [...block.querySelectorAll('code, pre'), block, ...wrappers];
+  for (const el of candidates) {
+    const lang = languageFromElement(el).toLowerCase();
+    if (lang && !NO_LANGUAGE.has(lang)) return lang;
+  }
+  return '';
+}
+
+/** Text of a block with a newline after every line element and <br>. */
+function readCodeText(root) {
+  let text = '';
+  const walk = (node) => {
+    if (node.nodeType === TEXT_NODE) {
+      const layout = LAYOUT_TAGS.has(node.parentNode.tagName.toLowerCase());
+      if (!(layout && /^\s*\n\s*$/.test(node.data))) text += node.data;
+      return;
+    }
+    if (node.nodeType !== ELEMENT_NODE) return;
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'br') { text += '\n'; return; }
+    for (const child of node.childNodes) walk(child);
+    if (LINE_TAGS.has(tag) && !text.endsWith('\n')) text += '\n';
+  };
+  walk(root);
+  return text;
+}
+
+/**
+ * Plain code of a <pre> or highlighter container. Gutters and copy buttons
+ * are removed, non-breaking spaces (used for indentation by some
+ * highlighters) become spaces, and only surrounding blank lines are trimmed
+ * so the first line keeps its indentation.
+ */
+export function extractCode(block) {
+  const clone = block.cloneNode(true);
+  for (const el of [...clone.querySelectorAll(CODE_CHROME_SELECTOR)]) el.remove();
+  return readCodeText(clone)
+    .replace(/\u00a0/g, ' ')
+    .replace(/\r\n?/g, '\n')
+    .replace(/^(?:[ \t]*\n)+/, '')
+    .replace(/\s+$/, '');
+}
+
+/** Fenced block whose fence is longer than any backtick run in the code. */
+export function fenceCode(code, lang = '') {
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longest + 1));
+  const info = lang.replace(/[^\w#+.-]/g, '');
+  return `\n\n${fence}${info}\n${code}\n${fence}\n\n`;
+}
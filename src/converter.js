@@ -0,0 +1,496 @@
+/**
+ * Blog Content Extractor - HTML to document tree
+ * DOM-agnostic converter: works on any Document implementation (the
+ * browser page, a detached snapshot, or jsdom in Node). Elements are read
+ * into a small document tree that the renderers in src/render-*.js write
+ * out as Markdown, HTML, plain text or AsciiDoc.
+ *
+ * Node types (every node has `type`; containers have `children`):
+ *   root               children, footnotes: [{ label, children }]
+ *   heading            depth, children
+ *   paragraph, blockquote, strong, emphasis, underline, delete, mark,
+ *   superscript, subscript, definitionList, definitionTerm,
+ *   definitionDescription                                  children
+ *   text               value (whitespace collapsed, not escaped)
+ *   break, thematicBreak
+ *   inlineCode, kbd    value
+ *   abbr               title, children
+ *   link               url, children
+ *   image              url, alt, width, height (sizes only on images the
+ *                      ZIP export has processed, see image-pipeline.js)
+ *   figure             image, caption
+ *   list               ordered, start, reversed, children: listItem
+ *   listItem           value, children
+ *   code               lang, value
+ *   math               tex, display
+ *   html               value, display (MathML without TeX)
+ *   embed              provider, id, source, title (see embeds.js)
+ *   media              kind, sources, tracks, poster, title (see media.js)
+ *   table              caption, fallback, rows: [{ section, cells: [{ header, colspan, rowspan, align, children }] }]
+ *   details            summary, children
+ *   footnoteReference  label
+ *
+ * Block nodes may sit among inline ones (an <img> inside a <p>), as they
+ * do in the page; renderers place them on their own lines.
+ */
+
+import { resolveUrl, isSafeUrl } from './url.js';
+import {
+  getImgSrc, getImgSize, parseSrcset, getCssBackgroundImage, imageSkipReason, normalizeImageUrl,
+  isResizedImageUrl, isIllustrationSvg, svgToDataUri,
+} from './images.js';
+import { isCodeContainer, extractCode, detectCodeLanguage, isMermaidDiagram, mermaidSource } from './code-blocks.js';
+import { findEmbed } from './embeds.js';
+import { readMedia } from './media.js';
+import { findMath } from './math.js';
+import { FOOTNOTE_ATTR } from './footnotes.js';
+import { normalizeLinkRules, rewriteLink, isShortLink } from './links.js';
+import { renderMarkdown } from './render-markdown.js';
+
+export { escapeMarkdown, tidyMarkdown, LINK_STYLES } from './render-markdown.js';
+export { MARKDOWN_FLAVORS } from './flavors.js';
+
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+
+/**
+ * Conversion state shared by every buildElement() call: the toggles from
+ * the popup, the base URL relative links resolve against, and counters.
+ * `footnotes` are the notes from collectFootnotes(); `footnoteLabels` fills
+ * up as references are read, in order of appearance. `images` maps the
+ * normalized URL of every image kept so far to its node; `skippedImages`
+ * lists the ones left out as { url, reason }. With `linkRules` (see
+ * links.js) links are rewritten as they are read: `rewrittenLinks` records
+ * each change as { from, to, reasons } and `shortLinks` the links only the
+ * network can resolve. Output-only options
+ * (format, flavor, embedMode, linkStyle...) ride along for the renderers.
+ */
+export function createContext({
+  baseUrl = '',
+  includeImages = true,
+  includeLinks = true,
+  includeTables = true,
+  includeSvg = false,
+  mediaMode = 'html',
+  footnotes = [],
+  linkRules = null,
+  ...renderOptions
+} = {}) {
+  return {
+    ...renderOptions,
+    baseUrl, includeImages, includeLinks, includeTables, includeSvg, mediaMode, footnotes,
+    linkRules: linkRules && normalizeLinkRules(linkRules),
+    footnoteLabels: new Map(),
+    images: new Map(), skippedImages: [],
+    rewrittenLinks: [], shortLinks: [],
+    imageCount: 0, linkCount: 0, embedCount: 0, mediaCount: 0,
+  };
+}
+
+const SKIP_TAGS = new Set([
+  'script', 'style', 'noscript',
+  'nav', 'footer', 'aside', 'button', 'input',
+  'select', 'textarea', 'form', 'meta', 'link', 'head',
+]);
+
+const INLINE_WRAPPERS = {
+  strong: 'strong', b: 'strong',
+  em: 'emphasis', i: 'emphasis',
+  u: 'underline',
+  s: 'delete', del: 'delete', strike: 'delete',
+  mark: 'mark',
+  sup: 'superscript',
+  sub: 'subscript',
+};
+
+// Cell content GFM has no syntax for; such tables are kept as HTML
+const TABLE_FALLBACK_SELECTOR = 'table, pre, blockquote, hr, h1, h2, h3, h4, h5, h6';
+
+const collapse = (text) => text.replace(/[ \t\r\n]+/g, ' ');
+
+const WRAPPER_TYPES = new Set(Object.values(INLINE_WRAPPERS));
+
+/**
+ * Add built nodes to `nodes`. Back-to-back spans of the same formatting
+ * (<strong>Giá:</strong><strong>100k</strong>) become one span, which
+ * Markdown could not write as two.
+ */
+function pushNodes(nodes, built) {
+  for (const node of built) {
+    const last = nodes.at(-1);
+    if (last && WRAPPER_TYPES.has(node.type) && last.type === node.type) last.children.push(...node.children);
+    else nodes.push(node);
+  }
+}
+
+/** Nodes for an element's children. */
+export function buildChildren(element, ctx) {
+  const nodes = [];
+  if (!element) return nodes;
+  for (const node of element.childNodes) {
+    if (node.nodeType === TEXT_NODE) {
+      if (node.data) nodes.push({ type: 'text', value: collapse(node.data) });
+    } else if (node.nodeType === ELEMENT_NODE) {
+      pushNodes(nodes, buildElement(node, ctx));
+    }
+  }
+  return nodes;
+}
+
+/** True if nodes hold nothing but whitespace. */
+const isBlank = (nodes) => nodes.every(n => n.type === 'text' && !n.value.trim());
+
+/** Number for a footnote, in the order the references are read. */
+function footnoteLabel(index, ctx) {
+  if (!ctx.footnoteLabels.has(index)) ctx.footnoteLabels.set(index, ctx.footnoteLabels.size + 1);
+  return ctx.footnoteLabels.get(index);
+}
+
+/**
+ * An image node, or null for an image that is not content (see
+ * imageSkipReason()), has an unsafe URL (see isSafeUrl()) or is another
+ * copy of one already kept. A larger copy
+ * (by size, else the file a thumbnail was resized from) lends the kept
+ * node its URL, so a hero thumbnail followed by the full-size figure
+ * keeps the full-size file.
+ */
+function imageNode(url, alt, ctx, size = null) {
+  const reason = isSafeUrl(url, { image: true }) ? imageSkipReason(size) : 'unsafe';
+  if (reason) {
+    ctx.skippedImages.push({ url, reason });
+    return null;
+  }
+  const key = normalizeImageUrl(url);
+  const kept = ctx.images.get(key);
+  if (kept) {
+    let skipped = url;
+    const larger = size && kept.size
+      ? size.width > kept.size.width
+      : isResizedImageUrl(kept.node.url) && !isResizedImageUrl(url);
+    if (larger) {
+      skipped = kept.node.url;
+      kept.node.url = url;
+      kept.size = size;
+      if (kept.node.alt === 'image') kept.node.alt = alt;
+    }
+    ctx.skippedImages.push({ url: skipped, reason: 'duplicate' });
+    return null;
+  }
+  const node = { type: 'image', url, alt };
+  ctx.images.set(key, { node, size });
+  ctx.imageCount++;
+  return node;
+}
+
+/** A link's URL after the link rules, with the change recorded. */
+function linkUrl(url, ctx) {
+  if (!ctx.linkRules) return url;
+  const { url: rewritten, reasons } = rewriteLink(url, ctx.linkRules, ctx.baseUrl);
+  if (reasons.length) ctx.rewrittenLinks.push({ from: url, to: rewritten, reasons });
+  // Our own affiliate links may live on a short link host (s.shopee.vn); following them would count a click
+  if (!reasons.includes('affiliate') && isShortLink(rewritten, ctx.linkRules, ctx.baseUrl) && !ctx.shortLinks.includes(rewritten)) {
+    ctx.shortLinks.push(rewritten);
+  }
+  return rewritten;
+}
+
+/** An illustration <svg> as an image node, when SVG export is on. */
+function svgImage(svg, ctx) {
+  if (!ctx.includeImages || !ctx.includeSvg || !isIllustrationSvg(svg)) return null;
+  const label = svg.getAttribute('aria-label') || svg.querySelector('title')?.textContent || 'image';
+  return imageNode(svgToDataUri(svg), label.replace(/\s+/g, ' ').trim(), ctx);
+}
+
+/** The element as zero or more document nodes. */
+export function buildElement(el, ctx) {
+  const tag = el.tagName.toLowerCase();
+
+  // Formulas come first: MathJax 2 keeps its TeX in a <script>
+  const math = findMath(el);
+  if (math) {
+    if (math.skip) return [];
+    return math.mathml
+      ? [{ type: 'html', value: math.mathml, display: math.display }]
+      : math.tex ? [{ type: 'math', tex: math.tex, display: math.display }] : [];
+  }
+
+  // Skip non-content tags
+  if (SKIP_TAGS.has(tag)) return [];
+
+  // Mermaid: the diagram source, or the SVG it was rendered to
+  if (isMermaidDiagram(el)) {
+    const source = mermaidSource(el);
+    if (source) return [{ type: 'code', lang: 'mermaid', value: source }];
+    const svg = el.querySelector('svg');
+    return svg ? buildElement(svg, ctx) : [];
+  }
+
+  // <pre>, and highlighters that split code into gutter tables or line divs
+  if (tag === 'pre' || isCodeContainer(el)) {
+    const value = extractCode(el);
+    return value ? [{ type: 'code', lang: detectCodeLanguage(el), value }] : [];
+  }
+
+  // Videos and social posts from known providers; other iframes are dropped
+  const embed = findEmbed(el, ctx.baseUrl);
+  if (embed) {
+    ctx.embedCount++;
+    return [{ type: 'embed', ...embed }];
+  }
+  if (tag === 'iframe') return [];
+
+  if (INLINE_WRAPPERS[tag]) {
+    const children = buildChildren(el, ctx);
+    // A footnote reference is already marked up
+    const content = children.filter(n => !(n.type === 'text' && !n.value.trim()));
+    if (tag === 'sup' && content.length === 1 && content[0].type === 'footnoteReference') return content;
+    return [{ type: INLINE_WRAPPERS[tag], children }];
+  }
+
+  switch (tag) {
+    // ---- Headings ----
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return [{ type: 'heading', depth: Number(tag[1]), children: buildChildren(el, ctx) }];
+
+    case 'abbr':
+      return [{ type: 'abbr', title: el.getAttribute('title') || '', children: buildChildren(el, ctx) }];
+
+    // ---- Paragraphs / Blocks ----
+    case 'p': return [{ type: 'paragraph', children: buildChildren(el, ctx) }];
+    case 'br': return [{ type: 'break' }];
+    case 'hr': return [{ type: 'thematicBreak' }];
+
+    // ---- Links ----
+    case 'a': {
+      const footnote = el.getAttribute(FOOTNOTE_ATTR);
+      if (footnote !== null && ctx.footnotes[footnote]) {
+        return [{ type: 'footnoteReference', label: footnoteLabel(Number(footnote), ctx) }];
+      }
+      const href = el.getAttribute('href')?.trim();
+      const url = href && !href.startsWith('#') ? resolveUrl(href, ctx.baseUrl) : '';
+      if (!ctx.includeLinks || !url || !isSafeUrl(url)) return buildChildren(el, ctx);
+      const children = buildChildren(el, ctx);
+      // An image link whose image was dropped leaves nothing to click
+      if (isBlank(children) && el.querySelector('img')) return [];
+      ctx.linkCount++;
+      return [{ type: 'link', url: linkUrl(url, ctx), children }];
+    }
+
+    // ---- Images ----
+    case 'img': {
+      if (!ctx.includeImages) return [];
+      const src = getImgSrc(el, ctx.baseUrl);
+      if (!src) return [];
+      const alt = (el.getAttribute('alt') || el.getAttribute('title') || 'image').trim();
+      const image = imageNode(src, alt, ctx, getImgSize(el, src, ctx.baseUrl));
+      return image ? [image] : [];
+    }
+
+    // ---- Picture element ----
+    case 'picture': {
+      if (!ctx.includeImages) return [];
+      const img = el.querySelector('img');
+      if (img) return buildElement(img, ctx);
+      // Try <source>
+      const source = el.querySelector('source');
+      const best = parseSrcset(source?.getAttribute('srcset') || source?.getAttribute('data-srcset'));
+      const image = best && imageNode(resolveUrl(best, ctx.baseUrl), 'image', ctx);
+      return image ? [image] : [];
+    }
+
+    // ---- Inline SVG ----
+    case 'svg': {
+      const image = svgImage(el, ctx);
+      return image ? [image] : [];
+    }
+
+    // ---- Figure ----
+    case 'figure': {
+      if (!ctx.includeImages) return buildChildren(el, ctx);
+      const img = el.querySelector('img');
+      const caption = el.querySelector('figcaption')?.textContent?.replace(/\s+/g, ' ').trim() || '';
+
+      // A skipped image takes its caption along
+      const src = img && getImgSrc(img, ctx.baseUrl);
+      if (src) {
+        const image = imageNode(src, caption || img.getAttribute('alt') || 'image', ctx, getImgSize(img, src, ctx.baseUrl));
+        return image ? [{ type: 'figure', image, caption }] : [];
+      }
+
+      // Might be a div-based figure with CSS background image
+      const bgSrc = getCssBackgroundImage(el, ctx.baseUrl);
+      if (bgSrc) {
+        const image = imageNode(bgSrc, 'image', ctx);
+        return image ? [image] : [];
+      }
+
+      // Inline SVG illustration, when SVG export is on
+      const svg = el.querySelector('svg');
+      const image = svg && svgImage(svg, ctx);
+      if (image) return [{ type: 'figure', image, caption }];
+
+      return buildChildren(el, ctx);
+    }
+
+    // ---- Video / audio ----
+    case 'video':
+    case 'audio': {
+      const media = readMedia(el, ctx.baseUrl);
+      if (!media) return [];
+      ctx.mediaCount++;
+      if (ctx.mediaMode === 'link' && ctx.includeImages && media.poster) ctx.imageCount++;
+      return [{ type: 'media', ...media }];
+    }
+
+    // ---- Lists ----
+    case 'ul':
+    case 'ol': {
+      const ordered = tag === 'ol';
+      const start = parseInt(el.getAttribute('start'), 10);
+      const items = [...el.children]
+        .filter(child => child.tagName.toLowerCase() === 'li')
+        .map(li => {
+          const value = parseInt(li.getAttribute('value'), 10);
+          return { type: 'listItem', value: ordered && Number.isFinite(value) ? value : null, children: buildChildren(li, ctx) };
+        });
+      return [{
+        type: 'list',
+        ordered,
+        start: ordered && Number.isFinite(start) ? start : null,
+        reversed: ordered && el.hasAttribute('reversed'),
+        children: items,
+      }];
+    }
+
+    // ---- Blockquote ----
+    case 'blockquote': return [{ type: 'blockquote', children: buildChildren(el, ctx) }];
+
+    // ---- Code ----
+    case 'code':
+    case 'kbd': {
+      const value = el.textContent.trim();
+      return value ? [{ type: tag === 'kbd' ? 'kbd' : 'inlineCode', value }] : [];
+    }
+
+    // ---- Tables ----
+    case 'table': {
+      if (!ctx.includeTables) return buildChildren(el, ctx);
+      return buildTable(el, ctx);
+    }
+
+    // ---- Definition Lists ----
+    case 'dl': return [{ type: 'definitionList', children: buildChildren(el, ctx) }];
+    case 'dt': return [{ type: 'definitionTerm', children: buildChildren(el, ctx) }];
+    case 'dd': return [{ type: 'definitionDescription', children: buildChildren(el, ctx) }];
+
+    // ---- Details/Summary ----
+    case 'details': {
+      const summary = el.querySelector('summary');
+      const children = [];
+      for (const node of el.childNodes) {
+        if (node === summary) continue;
+        if (node.nodeType === TEXT_NODE) children.push({ type: 'text', value: collapse(node.data) });
+        else if (node.nodeType === ELEMENT_NODE) children.push(...buildElement(node, ctx));
+      }
+      return [{ type: 'details', summary: summary?.textContent?.replace(/\s+/g, ' ').trim() || '', children }];
+    }
+    case 'summary': return []; // handled by details
+
+    // ---- Divs and containers ----
+    case 'div':
+    case 'section':
+    case 'article':
+    case 'main':
+    case 'header': {
+      // A background image stands in for the <img> the container doesn't have
+      const children = buildChildren(el, ctx);
+      if (ctx.includeImages && !el.querySelector('img') && !el.querySelector('picture')) {
+        const bgSrc = getCssBackgroundImage(el, ctx.baseUrl);
+        const image = bgSrc && imageNode(bgSrc, 'image', ctx);
+        if (image) return [image, ...children];
+      }
+      return children;
+    }
+
+    default:
+      return buildChildren(el, ctx);
+  }
+}
+
+function getCellAlign(cell) {
+  const align = (cell.getAttribute('align') || cell.style?.textAlign || '').toLowerCase();
+  return ['left', 'center', 'right'].includes(align) ? align : '';
+}
+
+function getSpan(cell, attr) {
+  const n = parseInt(cell.getAttribute(attr), 10);
+  return Number.isFinite(n) && n > 1 ? Math.min(n, 100) : 1;
+}
+
+/** Why a table can't be written as a GFM pipe table ('' if it can). */
+function getTableFallbackReason(tableEl) {
+  if ((tableEl.tHead?.rows.length || 0) > 1) return 'multi-row header';
+  for (const tr of tableEl.rows) {
+    for (const cell of tr.cells) {
+      if (cell.querySelector(TABLE_FALLBACK_SELECTOR)) return 'block content in cell';
+    }
+  }
+  return '';
+}
+
+/**
+ * The table's own rows (tableEl.rows skips nested tables) with their
+ * section, and `fallback` set when renderers that need a simple grid
+ * should write HTML instead.
+ */
+function buildTable(tableEl, ctx) {
+  if (!tableEl.rows.length) return [];
+  const rows = [...tableEl.rows].map(tr => {
+    const parent = tr.parentElement?.tagName.toLowerCase();
+    return {
+      section: parent === 'thead' ? 'head' : parent === 'tfoot' ? 'foot' : 'body',
+      cells: [...tr.cells].map(cell => ({
+        header: cell.tagName.toLowerCase() === 'th',
+        colspan: getSpan(cell, 'colspan'),
+        rowspan: getSpan(cell, 'rowspan'),
+        align: getCellAlign(cell),
+        children: buildChildren(cell, ctx),
+      })),
+    };
+  });
+  return [{
+    type: 'table',
+    caption: tableEl.caption ? buildChildren(tableEl.caption, ctx) : [],
+    fallback: getTableFallbackReason(tableEl),
+    rows,
+  }];
+}
+
+/**
+ * Read `element`'s children into a document tree. Notes referenced from
+ * the content (ctx.footnotes) are read after it, numbered in order of
+ * first reference; a note referenced from another note is added as it is
+ * reached.
+ */
+export function buildDocument(element, ctx) {
+  const root = { type: 'root', children: buildChildren(element, ctx), footnotes: [] };
+  for (const [index, label] of ctx.footnoteLabels) {
+    root.footnotes.push({ label, children: buildChildren(ctx.footnotes[index], ctx) });
+  }
+  return root;
+}
+
+/**
+ * Convert an element's children to Markdown in one call.
+ * Returns { markdown, imageCount, linkCount, embedCount, mediaCount }.
+ */
+export function convertToMarkdown(element, options = {}) {
+  const ctx = createContext(options);
+  const markdown = renderMarkdown(buildDocument(element, ctx), ctx);
+  return { markdown, imageCount: ctx.imageCount, linkCount: ctx.linkCount, embedCount: ctx.embedCount, mediaCount: ctx.mediaCount };
+}
@@ -0,0 +1,171 @@
+/**
+ * Blog Content Extractor - Content detection
+ * Finds the element holding the main article with Readability-style scoring.
+ */
+
+// Readability-style heuristics: class/id names that hint at content or noise.
+const POSITIVE_HINTS = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|baiviet|noidung/i;
+const NEGATIVE_HINTS = /-ad-|hidden|^hid$|banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+const UNLIKELY_CANDIDATES = /-ad-|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const BLOCK_CHILDREN = 'a, blockquote, dl, div, img, ol, p, pre, table, ul, section, article, figure';
+
+/** Short CSS-like label for an element, used to explain detection results. */
+export function describeElement(el) {
+  if (!el) return '';
+  let label = el.tagName.toLowerCase();
+  if (el.id) label += `#${el.id}`;
+  const classes = (el.className?.toString() || '').trim().split(/\s+/).filter(Boolean).slice(0, 2);
+  if (classes.length) label += '.' + classes.join('.');
+  return label;
+}
+
+function getClassWeight(el) {
+  let weight = 0;
+  for (const name of [el.className?.toString() || '', el.id || '']) {
+    if (!name) continue;
+    if (NEGATIVE_HINTS.test(name)) weight -= 25;
+    if (POSITIVE_HINTS.test(name)) weight += 25;
+  }
+  if (el.getAttribute('itemprop') === 'articleBody') weight += 25;
+  return weight;
+}
+
+function getTagWeight(el) {
+  switch (el.tagName.toLowerCase()) {
+    case 'article': return 10;
+    case 'div': return 5;
+    case 'pre': case 'td': case 'blockquote': return 3;
+    case 'address': case 'ol': case 'ul': case 'dl': case 'dd': case 'dt': case 'li': case 'form': return -3;
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': case 'th': return -5;
+    default: return 0;
+  }
+}
+
+/** Share of an element's text that sits inside links (0..1). */
+export function getLinkDensity(el) {
+  const textLen = el.textContent.trim().length;
+  if (!textLen) return 0;
+  let linkLen = 0;
+  for (const a of el.querySelectorAll('a')) {
+    const href = a.getAttribute('href') || '';
+    // In-page anchors (footnotes, TOC jumps) count less than outbound links
+    linkLen += a.textContent.trim().length * (href.startsWith('#') ? 0.3 : 1);
+  }
+  return linkLen / textLen;
+}
+
+/** True if the paragraph sits in a container that is almost never content. */
+function isInUnlikelyContainer(el) {
+  const body = el.ownerDocument.body;
+  for (let node = el.parentElement; node && node !== body; node = node.parentElement) {
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'nav' || tag === 'aside' || tag === 'footer') return true;
+    if (node.hidden || node.getAttribute('aria-hidden') === 'true' || node.style?.display === 'none') return true;
+    const match = (node.className?.toString() || '') + ' ' + (node.id || '');
+    if (UNLIKELY_CANDIDATES.test(match) && !MAYBE_CANDIDATE.test(match) && tag !== 'article' && tag !== 'main') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/** Paragraph-like nodes that carry the score: p/pre/td/blockquote and text-only divs. */
+function collectScorableNodes(root) {
+  const nodes = [...root.querySelectorAll('p, pre, td, blockquote')];
+  for (const div of root.querySelectorAll('div, section')) {
+    if (!div.querySelector(BLOCK_CHILDREN)) nodes.push(div);
+  }
+  return nodes;
+}
+
+/**
+ * Score the page like Mozilla Readability: every paragraph adds points
+ * (base + commas + length) to its parent, half to its grandparent and less
+ * to further ancestors. Candidate scores are then weighted by class/id hints
+ * and scaled down by link density. The best candidate is extended with
+ * siblings that look like part of the same article.
+ *
+ * Returns { element, elements, method, candidates } where `elements` is the
+ * top candidate plus merged siblings in document order.
+ */
+export function detectContentElement(doc) {
+  const scores = new Map();
+  const initCandidate = (el) => {
+    if (!scores.has(el)) scores.set(el, getTagWeight(el) + getClassWeight(el));
+  };
+
+  for (const node of collectScorableNodes(doc.body)) {
+    const text = node.textContent.trim();
+    if (text.length < 25 || isInUnlikelyContainer(node)) continue;
+
+    let score = 1;
+    score += (text.match(/[,，、]/g) || []).length;
+    score += Math.min(Math.floor(text.length / 100), 3);
+
+    let ancestor = node.parentElement;
+    for (let level = 0; ancestor && level < 3; level++, ancestor = ancestor.parentElement) {
+      if (ancestor === doc.documentElement) break;
+      initCandidate(ancestor);
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + score / divider);
+    }
+  }
+
+  const ranked = [...scores.entries()]
+    .map(([el, score]) => {
+      const linkDensity = getLinkDensity(el);
+      return { el, score: score * (1 - linkDensity), linkDensity };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  if (!ranked.length || ranked[0].score <= 0) {
+    return { element: doc.body, elements: [doc.body], method: 'fallback', candidates: [] };
+  }
+
+  const finalScore = new Map(ranked.map(c => [c.el, c.score]));
+  let top = ranked[0].el;
+  let topScore = ranked[0].score;
+
+  // Climb to a parent that scores higher: content is often split into sub-wrappers
+  const threshold = topScore / 3;
+  let lastScore = topScore;
+  for (let parent = top.parentElement; parent && parent !== doc.body; parent = parent.parentElement) {
+    const parentScore = finalScore.get(parent);
+    if (parentScore === undefined) continue;
+    if (parentScore < threshold) break;
+    if (parentScore > lastScore) { top = parent; topScore = parentScore; break; }
+    lastScore = parentScore;
+  }
+
+  // Merge siblings that share the article's score or look like its paragraphs
+  const elements = [];
+  const siblingThreshold = Math.max(10, topScore * 0.2);
+  const topClass = top.className?.toString() || '';
+  for (const sibling of top.parentElement?.children || [top]) {
+    if (sibling === top) { elements.push(top); continue; }
+    let append = false;
+    const bonus = topClass && sibling.className?.toString() === topClass ? topScore * 0.2 : 0;
+    if ((finalScore.get(sibling) ?? -Infinity) + bonus >= siblingThreshold) {
+      append = true;
+    } else if (sibling.tagName.toLowerCase() === 'p') {
+      const text = sibling.textContent.trim();
+      const density = getLinkDensity(sibling);
+      if (text.length > 80 && density < 0.25) append = true;
+      else if (text.length > 0 && density === 0 && /\.( |$)/.test(text)) append = true;
+    }
+    if (append) elements.push(sibling);
+  }
+
+  return {
+    element: top,
+    elements,
+    method: 'scoring',
+    candidates: ranked.slice(0, 5).map(c => ({
+      element: describeElement(c.el),
+      score: Math.round(c.score * 10) / 10,
+      linkDensity: Math.round(c.linkDensity * 100) / 100,
+      textLength: c.el.textContent.trim().length,
+    })),
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * Blog Content Extractor - Embeds
+ * Recognizes embedded posts and videos from known providers (iframes and
+ * the blockquote/div placeholders their widget scripts replace) and writes
+ * them as a shortcode, a plain link or an HTML embed.
+ */
+
+import { resolveUrl, isSafeUrl, safeMarkdownUrl, escapeAttr } from './url.js';
+
+export const EMBED_MODES = ['shortcode', 'link', 'html'];
+
+// Elements that can hold an embed on their own
+const EMBED_TAGS = new Set(['iframe', 'blockquote', 'div', 'lite-youtube', 'lite-vimeo']);
+
+const iframe = (src, ratio = '16 / 9') =>
+  `<iframe src="${escapeAttr(src)}" style="width:100%;aspect-ratio:${ratio};border:0" allowfullscreen></iframe>`;
+
+/** `value` parsed as an http(s) URL, or null: anything else is never an embed. */
+function parseHttpUrl(value) {
+  let url;
+  try { url = new URL(value); } catch { return null; }
+  return isSafeUrl(url.href) && /^https?:$/.test(url.protocol) ? url : null;
+}
+
+// Hosts of a site and its subdomains
+const onHost = (url, domain) => url.hostname === domain || url.hostname.endsWith('.' + domain);
+
+/**
+ * Known providers. `parse(url)` returns the provider's id for a page or
+ * player URL (a parsed http(s) URL) or null; `url` and `html` render a
+ * match, `hugo` as one of Hugo's built-in shortcodes where there is one.
+ * `source` is the matched URL as a string.
+ */
+const PROVIDERS = [
+  {
+    name: 'youtube',
+    label: 'YouTube',
+    parse: (url) => {
+      if (url.hostname === 'youtu.be') return url.pathname.match(/^\/([\w-]{11})(?:$|\/)/)?.[1];
+      if (!onHost(url, 'youtube.com') && !onHost(url, 'youtube-nocookie.com')) return null;
+      if (url.pathname === '/watch') return url.searchParams.get('v')?.match(/^[\w-]{11}$/)?.[0];
+      return url.pathname.match(/^\/(?:embed|shorts|live|v)\/([\w-]{11})(?:$|\/)/)?.[1];
+    },
+    url: (id) => `https://www.youtube.com/watch?v=${id}`,
+    html: (id) => iframe(`https://www.youtube.com/embed/${id}`),
+    hugo: (id) => `{{< youtube ${id} >}}`,
+  },
+  {
+    name: 'vimeo',
+    label: 'Vimeo',
+    parse: (url) => onHost(url, 'vimeo.com') && url.pathname.match(/^\/(?:video\/|channels\/[\w-]+\/)?(\d+)/)?.[1],
+    url: (id) => `https://vimeo.com/${id}`,
+    html: (id) => iframe(`https://player.vimeo.com/video/${id}`),
+    hugo: (id) => `{{< vimeo ${id} >}}`,
+  },
+  {
+    name: 'tiktok',
+    label: 'TikTok',
+    parse: (url) => onHost(url, 'tiktok.com') && url.pathname.match(/^\/(?:embed\/(?:v2\/)?|@[\w.-]+\/video\/|player\/v1\/)(\d+)/)?.[1],
+    url: (id, source) => {
+      const { origin, pathname } = new URL(source);
+      return pathname.startsWith('/@') ? origin + pathname : `https://www.tiktok.com/embed/v2/${id}`;
+    },
+    html: (id) => iframe(`https://www.tiktok.com/embed/v2/${id}`, '9 / 16'),
+  },
+  {
+    name: 'instagram',
+    label: 'Instagram',
+    parse: (url) => onHost(url, 'instagram.com') && url.pathname.match(/^\/(?:[\w.]+\/)?(?:p|reel|tv)\/([\w-]+)/)?.[1],
+    url: (id, source) => `https://www.instagram.com/${/\/reel\//.test(new URL(source).pathname) ? 'reel' : 'p'}/${id}/`,
+    html: (id, source) => iframe(`https://www.instagram.com/${/\/reel\//.test(new URL(source).pathname) ? 'reel' : 'p'}/${id}/embed`, '4 / 5'),
+    hugo: (id) => `{{< instagram ${id} >}}`,
+  },
+  {
+    name: 'twitter',
+    label: 'X',
+    parse: (url) => /^(?:(?:www|mobile)\.)?(?:twitter|x)\.com$/.test(url.hostname) &&
+      url.pathname.match(/^\/(?:\w+|i\/web)\/status(?:es)?\/(\d+)/)?.[1],
+    url: (id, source) => `https://x.com${new URL(source).pathname}`,
+    // Tweets have no iframe player; widgets.js upgrades this blockquote
+    html: (id, source, title) => {
+      const { origin, pathname } = new URL(source);
+      return `<blockquote class="twitter-tweet"><p>${escapeAttr(title)}</p><a href="${escapeAttr(origin + pathname)}"></a></blockquote>`;
+    },
+    // The x shortcode needs the account; /i/web/status/ URLs don't name it
+    hugo: (id, source) => {
+      const user = new URL(source).pathname.match(/^\/(\w+)\/status/)?.[1];
+      return user && user !== 'i' ? `{{< x user="${user}" id="${id}" >}}` : null;
+    },
+  },
+  {
+    name: 'facebook',
+    label: 'Facebook',
+    // Posts have no stable short id: the post URL itself is the id
+    parse: (url) => {
+      if (onHost(url, 'facebook.com') && /^\/plugins\/(?:post|video)\.php$/.test(url.pathname)) {
+        // searchParams decodes the href, leaving malformed escapes as they are
+        const post = parseHttpUrl(url.searchParams.get('href') || '');
+        return post ? post.href.split('#')[0] : null;
+      }
+      const post = /^(?:(?:www|m)\.facebook\.com\/(?:[\w.]+\/(?:posts|videos)\/|permalink\.php|photo|watch|reel\/|share\/)|fb\.watch\/)/;
+      return post.test(url.host + url.pathname) ? url.href.split('#')[0] : null;
+    },
+    url: (id) => id,
+    html: (id) =>
+      iframe(`https://www.facebook.com/plugins/${/\/videos?\/|fb\.watch/.test(id) ? 'video' : 'post'}.php?href=${encodeURIComponent(id)}`, '1 / 1'),
+  },
+];
+
+/** Match a page or player URL against the known providers; only http(s) URLs match. */
+export function matchEmbedUrl(value) {
+  const url = value && parseHttpUrl(value);
+  if (!url) return null;
+  for (const provider of PROVIDERS) {
+    const id = provider.parse(url);
+    if (id) return { provider: provider.name, id, source: url.href };
+  }
+  return null;
+}
+
+const getProvider = (name) => PROVIDERS.find(p => p.name === name);
+
+/** Canonical page URL and display name of an embed found by findEmbed(). */
+export function describeEmbed({ provider, id, source }) {
+  const { url, label } = getProvider(provider);
+  return { url: url(id, source), label };
+}
+
+/**
+ * The embed an element stands for, or null. Handles provider iframes
+ * (including lazy-loaded ones), <lite-youtube>/<lite-vimeo>, and the
+ * placeholders of widget scripts: blockquote.twitter-tweet,
+ * blockquote.instagram-media, blockquote.tiktok-embed, div.fb-post/fb-video.
+ */
+export function findEmbed(el, baseUrl) {
+  const tag = el.tagName.toLowerCase();
+  if (!EMBED_TAGS.has(tag)) return null;
+  const classes = el.classList;
+  let url = '';
+
+  if (tag === 'iframe') {
+    url = el.getAttribute('src') || el.getAttribute('data-src') || el.getAttribute('data-lazy-src') || '';
+  } else if (tag === 'lite-youtube') {
+    url = `https://www.youtube.com/watch?v=${el.getAttribute('videoid')}`;
+  } else if (tag === 'lite-vimeo') {
+    url = `https://vimeo.com/${el.getAttribute('videoid')}`;
+  } else if (tag === 'blockquote' && classes.contains('twitter-tweet')) {
+    const links = [...el.querySelectorAll('a[href*="/status/"]')];
+    url = links[links.length - 1]?.getAttribute('href') || '';
+  } else if (tag === 'blockquote' && classes.contains('instagram-media')) {
+    url = el.getAttribute('data-instgrm-permalink') || el.querySelector('a[href*="instagram.com/"]')?.getAttribute('href') || '';
+  } else if (tag === 'blockquote' && classes.contains('tiktok-embed')) {
+    url = el.getAttribute('cite') || (el.dataset.videoId ? `https://www.tiktok.com/embed/v2/${el.dataset.videoId}` : '');
+  } else if (tag === 'div' && (classes.contains('fb-post') || classes.contains('fb-video'))) {
+    url = el.getAttribute('data-href') || '';
+  }
+  if (!url) return null;
+
+  const match = matchEmbedUrl(resolveUrl(url, baseUrl));
+  if (!match) return null;
+
+  // Tweets keep their text; players describe themselves in `title`
+  const title = tag === 'blockquote'
+    ? (el.querySelector('p')?.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 140)
+    : (el.getAttribute('title') || '').trim();
+  return { ...match, title };
+}
+
+/**
+ * Render an embed in the chosen mode ('shortcode', 'link' or 'html').
+ * Shortcodes are Liquid tags ({% youtube id %}) or, with `shortcodes` set
+ * to 'hugo', Hugo's built-in ones; embeds without one, or with
+ * `shortcodes` null, fall back to a link.
+ */
+export function renderEmbed(embed, mode = 'link', shortcodes = 'liquid') {
+  const { provider, id, source, title } = embed;
+  const { url, label } = describeEmbed(embed);
+  if (mode === 'shortcode') {
+    if (shortcodes === 'liquid') return `{% ${provider} ${provider === 'facebook' || provider === 'twitter' ? url : id} %}`;
+    const hugo = shortcodes === 'hugo' && getProvider(provider).hugo?.(id, source);
+    if (hugo) return hugo;
+    mode = 'link';
+  }
+  switch (mode) {
+    case 'html':
+      return getProvider(provider).html(id, source, title);
+    default: {
+      const text = (title ? `${label}: ${title}` : label).replace(/[\\[\]*_`<{}]/g, '\\$&');
+      return `[${text}](${safeMarkdownUrl(url)})`;
+    }
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Blog Content Extractor - Extraction pipeline
+ * detect -> metadata -> snapshot -> cleanup -> convert, on any Document.
+ * The content script calls this with the live page; the CLI and tests
+ * call it with a jsdom document.
+ */
+
+import { detectContentElement, describeElement } from './detect.js';
+import { extractMetadata } from './metadata.js';
+import { snapshotContent, SITE_RULE_ATTR } from './snapshot.js';
+import { removeNoise } from './cleanup.js';
+import { createContext, buildDocument } from './converter.js';
+import { collectFootnotes } from './footnotes.js';
+import { FORMATS } from './formats.js';
+import { MARKDOWN_FLAVORS } from './flavors.js';
+import { renderFrontmatter, buildTemplateVars } from './frontmatter.js';
+import {
+  findRule, applyReplacements, detectFromSiteRule, getRemoveSelector, getRuleTitle,
+} from './site-rules.js';
+
+/** Record elapsed milliseconds per extraction phase (reported as `timings`). */
+function createStopwatch() {
+  const start = performance.now();
+  let last = start;
+  const timings = {};
+  const round = (ms) => Math.round(ms * 10) / 10;
+  return {
+    lap(name) {
+      const now = performance.now();
+      timings[name] = round(now - last);
+      last = now;
+    },
+    finish() {
+      timings.total = round(performance.now() - start);
+      return timings;
+    },
+  };
+}
+
+/**
+ * Write a document tree from extractContent() in `options.format`, with
+ * the matching site rule's replacements and, for Markdown, frontmatter.
+ * The popup calls it again on an edited tree (e.g. with local image paths).
+ */
+export function renderDocument(tree, options, { metadata, url }) {
+  const format = FORMATS[options.format] ? options.format : 'markdown';
+  const siteRule = findRule(options.siteRules, url);
+  let content = FORMATS[format].render(tree, {
+    includeImages: options.includeImages ?? true,
+    mediaMode: options.mediaMode ?? 'html',
+    embedMode: options.embedMode,
+    linkStyle: options.linkStyle,
+    flavor: options.flavor,
+  });
+  // Replacements are text rules: they would corrupt the JSON tree
+  if (siteRule && format !== 'json') content = applyReplacements(content, siteRule.replacements).trim();
+
+  // The flavor decides the dialect (TOML for Hugo); some importers take none
+  const dialect = (MARKDOWN_FLAVORS[options.flavor] || MARKDOWN_FLAVORS.gfm).frontmatter;
+  if ((options.includeFrontmatter ?? true) && format === 'markdown' && dialect !== 'none') {
+    content = renderFrontmatter(options.frontmatterProfile, buildTemplateVars(metadata, url), dialect) + content;
+  }
+  return content;
+}
+
+/**
+ * Extract the main content of `doc` as Markdown, or in another of FORMATS
+ * (`options.format`). `targetElement` skips detection (selection mode).
+ * `options.baseUrl` overrides the URL relative links resolve against, which
+ * defaults to the document's own URL. Frontmatter only goes on Markdown.
+ * `options.linkRules` (see links.js) rewrites the links; the result lists
+ * the changes in `rewrittenLinks` and unresolved short links in `shortLinks`.
+ */
+export function extractContent(doc, options = {}, targetElement = null) {
+  const {
+    includeImages = true,
+    includeLinks = true,
+    includeTables = true,
+  } = options;
+  const pageUrl = options.baseUrl || doc.URL;
+  const format = FORMATS[options.format] ? options.format : 'markdown';
+
+  const stopwatch = createStopwatch();
+  const siteRule = findRule(options.siteRules, pageUrl);
+  const detection = targetElement
+    ? { element: targetElement, elements: [targetElement], method: 'manual', candidates: [] }
+    : detectFromSiteRule(doc, siteRule) || detectContentElement(doc);
+  const contentEl = detection.element;
+  stopwatch.lap('detect');
+
+  const metadata = extractMetadata(doc, contentEl, pageUrl);
+  metadata.title =
+    (targetElement && targetElement.querySelector('h1')?.textContent?.trim()) ||
+    getRuleTitle(doc, siteRule) || metadata.title;
+  stopwatch.lap('metadata');
+
+  // Work on a snapshot: merged siblings are copied whole, the top candidate contributes its children
+  const snapshot = { elements: 0, styled: 0, hidden: 0 };
+  const nodes = detection.elements.flatMap(el => (el === contentEl ? [...el.childNodes] : [el]));
+  const removeSelector = getRemoveSelector(doc, siteRule);
+  const root = snapshotContent(nodes, snapshot, doc, removeSelector);
+  stopwatch.lap('snapshot');
+
+  // Notes are detached before cleanup, which could take a link-heavy notes list for boilerplate
+  const footnotes = collectFootnotes(root, doc);
+  const removed = removeNoise(root, removeSelector && `[${SITE_RULE_ATTR}]`);
+  stopwatch.lap('cleanup');
+
+  const ctx = createContext({
+    baseUrl: pageUrl, includeImages, includeLinks, includeTables, includeSvg: options.includeSvg, footnotes,
+    embedMode: options.embedMode, mediaMode: options.mediaMode, linkStyle: options.linkStyle, flavor: options.flavor,
+    linkRules: options.linkRules,
+  });
+  const tree = buildDocument(root, ctx);
+  const content = renderDocument(tree, options, { metadata, url: pageUrl });
+  stopwatch.lap('convert');
+
+  return {
+    content,
+    format,
+    extension: FORMATS[format].extension,
+    document: tree,
+    title: metadata.title,
+    url: pageUrl,
+    metadata,
+    siteRule: siteRule?.pattern || null,
+    detection: {
+      method: detection.method,
+      element: describeElement(contentEl),
+      merged: detection.elements.filter(el => el !== contentEl).map(describeElement),
+      candidates: detection.candidates,
+    },
+    removed,
+    snapshot,
+    timings: stopwatch.finish(),
+    imageCount: ctx.imageCount,
+    skippedImages: ctx.skippedImages,
+    linkCount: ctx.linkCount,
+    rewrittenLinks: ctx.rewrittenLinks,
+    shortLinks: ctx.shortLinks,
+    embedCount: ctx.embedCount,
+    mediaCount: ctx.mediaCount,
+    footnoteCount: ctx.footnoteLabels.size,
+    charCount: content.length,
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Blog Content Extractor - Markdown flavors
+ * Profiles of the Markdown dialects blog engines and note apps read. A
+ * profile decides how each construct outside core CommonMark is written,
+ * which template syntax has to be escaped and which frontmatter dialect
+ * goes on top:
+ *
+ *   strikethrough  '~~' or 'html' (<del>)
+ *   highlight      '==', 'html' (<mark>) or 'plain' (marks dropped)
+ *   underline      'html' (<u>) or 'plain'
+ *   tables         'pipe' (GFM tables, HTML when a table can't be one) or 'html'
+ *   footnotes      'native' ([^1]), 'html' (<sup>1</sup>) or 'text' ([1]),
+ *                  the last two with the notes after a rule
+ *   definitions    'bold' (term in bold, descriptions as paragraphs),
+ *                  'colon' (term, then ": description") or 'html' (<dl>)
+ *   details        'bold' (summary as a bold line), 'html' (<details> around
+ *                  Markdown), 'kramdown' (the same with markdown="1") or
+ *                  'callout' (Obsidian)
+ *   shortcodes     syntax of embeds in shortcode mode: 'liquid'
+ *                  ({% youtube id %}), 'hugo' ({{< youtube id >}}) or null
+ *                  (links)
+ *   templates      template tags in page text and code that must not run:
+ *                  'liquid' ({% raw %}), 'hugo' (shortcode comments) or null
+ *   imageSize      width and height of processed images: 'attributes'
+ *                  (kramdown {: width="800"}), 'pipe' (Obsidian ![alt|800x600])
+ *                  or null (left out)
+ *   mdx            escape { and <, write raw HTML as JSX
+ *   frontmatter    'yaml' (---), 'toml' (+++) or 'none'
+ */
+
+const GFM = {
+  strikethrough: '~~',
+  highlight: 'html',
+  underline: 'html',
+  tables: 'pipe',
+  footnotes: 'native',
+  definitions: 'bold',
+  details: 'bold',
+  shortcodes: 'liquid',
+  templates: null,
+  imageSize: null,
+  mdx: false,
+  frontmatter: 'yaml',
+};
+
+export const MARKDOWN_FLAVORS = {
+  gfm: GFM,
+  commonmark: { ...GFM, strikethrough: 'html', tables: 'html', footnotes: 'html' },
+  obsidian: { ...GFM, highlight: '==', details: 'callout', shortcodes: null, imageSize: 'pipe' },
+  // Goldmark: definition lists and footnotes on, raw HTML needs unsafe = true
+  hugo: { ...GFM, definitions: 'colon', details: 'html', shortcodes: 'hugo', templates: 'hugo', frontmatter: 'toml' },
+  // kramdown with GFM input; Liquid runs over the whole post
+  jekyll: { ...GFM, definitions: 'colon', details: 'kramdown', templates: 'liquid', imageSize: 'attributes' },
+  // Astro's MDX integration (remark-gfm included)
+  mdx: { ...GFM, definitions: 'html', details: 'html', shortcodes: null, mdx: true },
+  // Ghost's Markdown card (markdown-it with mark and footnote plugins)
+  ghost: { ...GFM, highlight: '==', definitions: 'html', details: 'html', shortcodes: null },
+  // hexo-renderer-marked: no footnotes; Nunjucks tags run over the post
+  hexo: { ...GFM, footnotes: 'html', definitions: 'html', details: 'html', templates: 'liquid' },
+  // Notion's Markdown import drops raw HTML and frontmatter
+  notion: { ...GFM, highlight: 'plain', underline: 'plain', footnotes: 'text', shortcodes: null, frontmatter: 'none' },
+};
+
+export const FLAVOR_NAMES = Object.keys(MARKDOWN_FLAVORS);
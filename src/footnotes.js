@@ -0,0 +1,122 @@
+/**
+ * Blog Content Extractor - Footnotes
+ * Finds footnote references (Wikipedia, kramdown, markdown-it, GitHub,
+ * Pandoc and WordPress footnote plugins) and their notes, so the converter
+ * can write them as Markdown footnotes ([^1]) instead of orphan numbers.
+ */
+
+// Marks a reference anchor in the snapshot with the index of its note
+export const FOOTNOTE_ATTR = 'data-extractor-footnote';
+
+const REF_SELECTOR = [
+  'sup a[href^="#"]',
+  'a.footnote-ref', 'a[data-footnote-ref]', 'a[role="doc-noteref"]', 'a[rel="footnote"]',
+].join(', ');
+
+// Sections that hold the notes themselves
+const NOTES_SELECTOR = [
+  '.footnotes', '.footnote-list', '.references', '.reflist', '.easy-footnotes-wrapper',
+  '[data-footnotes]', '[role="doc-endnotes"]',
+].join(', ');
+
+// "Back to text" links inside a note
+const BACKLINK_SELECTOR = [
+  '.mw-cite-backlink', 'a.footnote-backref', 'a.footnote-back', 'a.reversefootnote',
+  'a[data-footnote-backref]', 'a[role="doc-backlink"]', 'a[rev="footnote"]',
+].join(', ');
+
+const NOTE_ID = /^(?:fn|footnote|cite[_-]note|note|endnote)/i;
+const BACKLINK_TEXT = /^[\s↩↑^⤴\ufe0e\ufe0f]+$/;
+
+const byId = (root, id) => root.querySelector(`[id="${id.replace(/["\\]/g, '\\$&')}"]`);
+
+/** Target id of an in-page link. */
+function targetId(anchor) {
+  const id = anchor.getAttribute('href').slice(1);
+  try { return decodeURIComponent(id); } catch { return id; }
+}
+
+/** The note element with `id`, or null if it isn't a footnote. */
+function findNote(id, anchor, root, doc) {
+  let target = byId(root, id);
+  // Notes collected outside the content element are copied, never moved
+  let outside = false;
+  if (!target) {
+    target = doc?.getElementById(id) || null;
+    outside = true;
+  }
+  if (!target || target.contains(anchor)) return null;
+
+  const note = target.closest('li') || target;
+  const isNote = note.tagName.toLowerCase() === 'li' || NOTE_ID.test(id) || note.closest(NOTES_SELECTOR);
+  if (!isNote) return null;
+  return { note, outside };
+}
+
+// A heading, or a wrapper holding only one (MediaWiki's div.mw-heading)
+const isHeading = (el) =>
+  /^h[1-6]$/i.test(el.tagName) || (el.children.length === 1 && el.textContent.trim() === el.children[0].textContent.trim() && isHeading(el.children[0]));
+
+/**
+ * Remove a notes list left without any note, with the wrappers that held
+ * nothing else, the rule above it and a "Notes" / "References" heading that
+ * only introduced it.
+ */
+function removeIfEmpty(el, root) {
+  if (!el?.parentNode || el.querySelector('li')) return;
+  let top = el;
+  while (top.parentElement && top.parentElement !== root && top.parentElement.textContent.trim() === top.textContent.trim()) {
+    top = top.parentElement;
+  }
+  let prev = top.previousElementSibling;
+  const next = top.nextElementSibling;
+  top.remove();
+  if (prev?.tagName.toLowerCase() === 'hr') {
+    const rule = prev;
+    prev = prev.previousElementSibling;
+    rule.remove();
+  }
+  if (prev && isHeading(prev) && (!next || isHeading(next))) prev.remove();
+}
+
+/**
+ * Find footnote references in a snapshot `root` and detach their notes.
+ * Each reference anchor gets FOOTNOTE_ATTR set to an index into the
+ * returned array of note elements (back links removed). Notes outside
+ * `root` are looked up in `doc` and copied into the snapshot's document.
+ */
+export function collectFootnotes(root, doc = root.ownerDocument) {
+  const notes = [];
+  const indexes = new Map();
+  const sections = new Set();
+
+  for (const anchor of root.querySelectorAll(REF_SELECTOR)) {
+    const id = targetId(anchor);
+    if (!id) continue;
+    let index = indexes.get(id);
+    if (index === undefined) {
+      const found = findNote(id, anchor, root, doc);
+      if (!found) continue;
+      index = notes.length;
+      indexes.set(id, index);
+      const note = found.outside ? root.ownerDocument.importNode(found.note, true) : found.note;
+      if (!found.outside) {
+        const list = note.parentElement;
+        sections.add(list);
+        const section = note.closest(NOTES_SELECTOR);
+        if (section && section !== note) sections.add(section);
+        note.remove();
+      }
+      for (const link of [...note.querySelectorAll(BACKLINK_SELECTOR)]) link.remove();
+      for (const link of [...note.querySelectorAll('a[href^="#"]')]) {
+        if (BACKLINK_TEXT.test(link.textContent)) link.remove();
+      }
+      notes.push(note);
+    }
+    anchor.setAttribute(FOOTNOTE_ATTR, String(index));
+  }
+
+  // Innermost first: the list, then the section around it
+  for (const el of sections) removeIfEmpty(el, root);
+  return notes;
+}
@@ -0,0 +1,46 @@
+/**
+ * Blog Content Extractor - Output formats
+ * The renderers a document tree can be written with, keyed by the format
+ * name the popup and CLI use.
+ */
+
+import { renderMarkdown } from './render-markdown.js';
+import { renderHtml } from './render-html.js';
+import { renderText } from './render-text.js';
+import { renderAsciidoc } from './render-asciidoc.js';
+import { isBlock } from './tree.js';
+
+/**
+ * Copy of a tree without the whitespace text the page's indentation leaves
+ * between blocks; whitespace between inline nodes is kept.
+ */
+function compact(nodes) {
+  return nodes
+    .filter((node, i) => node.type !== 'text' || node.value.trim() || !(isBlock(nodes[i - 1]) || isBlock(nodes[i + 1])))
+    .map(node => (node.children ? { ...node, children: compact(node.children) } : node));
+}
+
+/** The document tree as indented JSON. */
+function renderJson(doc) {
+  const tree = {
+    ...doc,
+    children: compact(doc.children),
+    footnotes: doc.footnotes.map(note => ({ ...note, children: compact(note.children) })),
+  };
+  return JSON.stringify(tree, null, 2);
+}
+
+export const FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown', render: renderMarkdown },
+  html: { extension: 'html', mimeType: 'text/html', render: renderHtml },
+  text: { extension: 'txt', mimeType: 'text/plain', render: renderText },
+  asciidoc: { extension: 'adoc', mimeType: 'text/asciidoc', render: renderAsciidoc },
+  json: { extension: 'json', mimeType: 'application/json', render: renderJson },
+};
+
+export const FORMAT_NAMES = Object.keys(FORMATS);
+
+/** The format named `name`, Markdown for unknown names. */
+export function getFormat(name) {
+  return FORMATS[name] || FORMATS.markdown;
+}
@@ -0,0 +1,243 @@
+/**
+ * Blog Content Extractor - Frontmatter Templates
+ * Shared by the popup (profile editor) and the extraction pipeline, so every
+ * extraction path emits frontmatter through the same engine.
+ *
+ * A profile is a named list of fields. Each field value is a template that may
+ * contain placeholders such as {{title}} or {{author|Shop Deals}} (with a
+ * default used when the placeholder is empty).
+ */
+
+export const PLACEHOLDERS = [
+  'title', 'url', 'date', 'cover', 'excerpt',
+  'canonical', 'published_time', 'modified_time', 'author', 'authors', 'site_name', 'lang', 'keywords',
+  'schema_type', 'product', 'brand', 'price', 'high_price', 'currency', 'availability', 'rating', 'rating_count',
+];
+
+export const DEFAULT_PROFILES = [
+  {
+    id: 'shop-deals',
+    name: 'Shop Deals',
+    fields: [
+      { key: 'title', value: '{{title}}' },
+      { key: 'cover_image', value: '{{cover}}' },
+      { key: 'category', value: 'Chia sẻ' },
+      { key: 'tags', value: '{{keywords|[]}}' },
+      { key: 'author', value: 'Shop Deals' },
+      { key: 'published', value: 'true' },
+      { key: 'excerpt', value: '{{excerpt}}' },
+      { key: 'date', value: '{{date}}' },
+      { key: 'lang', value: '{{lang}}' },
+      { key: 'source_url', value: '{{canonical}}' },
+      { key: 'source_site', value: '{{site_name}}' },
+      { key: 'source_author', value: '{{author}}' },
+      { key: 'source_published', value: '{{published_time}}' },
+      { key: 'source_modified', value: '{{modified_time}}' },
+      { key: 'product', value: '{{product}}' },
+      { key: 'price', value: '{{price}}' },
+      { key: 'currency', value: '{{currency}}' },
+      { key: 'rating', value: '{{rating}}' },
+      { key: 'rating_count', value: '{{rating_count}}' },
+    ],
+  },
+];
+
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g;
+const SINGLE_PLACEHOLDER_RE = /^\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}$/;
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/** Replace every {{name}} / {{name|default}} in a template string. */
+export function renderTemplate(template, vars) {
+  return String(template).replace(PLACEHOLDER_RE, (_, name, fallback) => {
+    const value = vars[name];
+    if (!isEmpty(value)) return Array.isArray(value) ? value.join(', ') : String(value);
+    return fallback !== undefined ? fallback.trim() : '';
+  });
+}
+
+/**
+ * Turn a literal field value from the editor into a typed value:
+ * true/false, numbers, [a, b] lists and "quoted" strings.
+ */
+function parseLiteral(text) {
+  const value = String(text).trim();
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(v => parseLiteral(v)).filter(v => v !== '');
+  }
+  const quoted = value.match(/^"(.*)"$/) || value.match(/^'(.*)'$/);
+  return quoted ? quoted[1] : value;
+}
+
+/**
+ * Resolve one field template to a typed value. A field that is a single
+ * placeholder keeps the variable's own type (e.g. keyword lists); mixed
+ * templates are interpolated into a string. Returns undefined when a
+ * placeholder-based field renders empty, so it can be omitted.
+ */
+export function resolveField(template, vars) {
+  template = String(template ?? '').trim();
+  const single = template.match(SINGLE_PLACEHOLDER_RE);
+  if (single) {
+    const value = vars[single[1]];
+    if (!isEmpty(value)) return typeof value === 'string' ? value.trim() : value;
+    return single[2] !== undefined ? parseLiteral(single[2]) : undefined;
+  }
+  PLACEHOLDER_RE.lastIndex = 0;
+  if (!PLACEHOLDER_RE.test(template)) return parseLiteral(template);
+  const rendered = renderTemplate(template, vars).trim();
+  return rendered || undefined;
+}
+
+// =====================================================================
+// YAML EMITTER
+// =====================================================================
+
+// Plain scalars YAML would read back as something other than a string.
+const YAML_RESERVED = /^(?:true|false|yes|no|on|off|null|~|[-+]?(?:\d[\d_]*)?\.?\d+(?:e[-+]?\d+)?|0x[\da-f]+|0o[0-7]+|[-+]?\.(?:inf|nan))$/i;
+const YAML_DATE = /^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[-+]\d{2}(?::?\d{2})?)?)?$/;
+
+/** Double-quote a string using YAML escape sequences. */
+function quoteYamlString(str) {
+  const escaped = str.replace(/[\\"\x00-\x1f\x7f\u2028\u2029]/g, (ch) => {
+    switch (ch) {
+      case '\\': return '\\\\';
+      case '"': return '\\"';
+      case '\n': return '\\n';
+      case '\r': return '\\r';
+      case '\t': return '\\t';
+      default: return '\\u' + ch.charCodeAt(0).toString(16).padStart(4, '0');
+    }
+  });
+  return `"${escaped}"`;
+}
+
+/**
+ * Return true if a string can be written as a plain (unquoted) scalar.
+ * Dates stay plain so blog engines parse them as timestamps; anything
+ * with indicators, comments, ": " or reserved words gets quoted.
+ */
+function isPlainSafe(str, inFlow) {
+  if (!str || str !== str.trim()) return false;
+  if (YAML_DATE.test(str)) return true;
+  if (YAML_RESERVED.test(str)) return false;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(str)) return false;
+  if (/[\x00-\x1f\x7f\u2028\u2029]/.test(str)) return false;
+  if (/: |:$| #/.test(str)) return false;
+  if (inFlow && /[,[\]{}]/.test(str)) return false;
+  return true;
+}
+
+/** Serialize a scalar or flat list as a YAML value. */
+export function toYamlValue(value, inFlow = false) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : quoteYamlString(String(value));
+  if (Array.isArray(value)) return `[${value.map(v => toYamlValue(v, true)).join(', ')}]`;
+  if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => !isEmpty(v));
+    return `{ ${entries.map(([k, v]) => `${toYamlKey(k)}: ${toYamlValue(v, true)}`).join(', ')} }`;
+  }
+  const str = String(value);
+  return isPlainSafe(str, inFlow) ? str : quoteYamlString(str);
+}
+
+function toYamlKey(key) {
+  return /^[\w-]+$/.test(key) ? key : quoteYamlString(key);
+}
+
+// =====================================================================
+// TOML EMITTER
+// =====================================================================
+
+// Dates and date-times TOML reads as datetime values (seconds required, offset with a colon)
+const TOML_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[-+]\d{2}:\d{2})?)?$/;
+
+/** Serialize a scalar, flat list or inline table as a TOML value. */
+export function toTomlValue(value) {
+  // TOML has no null; YAML's double-quoted escapes are all valid in TOML basic strings
+  if (value === null || value === undefined) return '""';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : quoteYamlString(String(value));
+  if (Array.isArray(value)) return `[${value.map(toTomlValue).join(', ')}]`;
+  if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => !isEmpty(v));
+    return `{ ${entries.map(([k, v]) => `${toTomlKey(k)} = ${toTomlValue(v)}`).join(', ')} }`;
+  }
+  const str = String(value);
+  return TOML_DATE.test(str) ? str : quoteYamlString(str);
+}
+
+function toTomlKey(key) {
+  return /^[\w-]+$/.test(key) ? key : quoteYamlString(key);
+}
+
+/**
+ * Render a profile into a frontmatter block: YAML between --- fences, or
+ * TOML between +++ fences (Hugo) when `dialect` is 'toml'. Fields built
+ * from placeholders are omitted when they render empty, so optional data
+ * such as the cover image or excerpt simply disappears.
+ */
+export function renderFrontmatter(profile, vars, dialect = 'yaml') {
+  const fields = profile?.fields?.length ? profile.fields : DEFAULT_PROFILES[0].fields;
+  const toml = dialect === 'toml';
+  const fence = toml ? '+++' : '---';
+  let result = `${fence}\n`;
+  for (const { key, value } of fields) {
+    if (!key) continue;
+    const resolved = resolveField(value, vars);
+    if (resolved === undefined) continue;
+    result += toml
+      ? `${toTomlKey(key)} = ${toTomlValue(resolved)}\n`
+      : `${toYamlKey(key)}: ${toYamlValue(resolved)}\n`;
+  }
+  result += `${fence}\n\n`;
+  return result;
+}
+
+/** Parse the editor's "key: value" lines into a field list. */
+export function parseFields(text) {
+  const fields = [];
+  for (const line of String(text).split('\n')) {
+    const match = line.match(/^\s*([\w-]+)\s*:\s?(.*)$/);
+    if (match) fields.push({ key: match[1], value: match[2].trim() });
+  }
+  return fields;
+}
+
+/** Inverse of parseFields(), used to fill the editor textarea. */
+export function formatFields(fields) {
+  return (fields || []).map(f => `${f.key}: ${f.value}`).join('\n');
+}
+
+/** Map page metadata onto the placeholders available to frontmatter templates. */
+export function buildTemplateVars(meta, url) {
+  return {
+    title: meta.title,
+    url,
+    date: new Date().toISOString().split('T')[0],
+    cover: meta.coverImage,
+    excerpt: meta.description.slice(0, 250),
+    canonical: meta.canonicalUrl,
+    published_time: meta.publishedTime,
+    modified_time: meta.modifiedTime,
+    author: meta.author,
+    site_name: meta.siteName,
+    lang: meta.language,
+    keywords: meta.keywords,
+    authors: meta.authors,
+    schema_type: meta.schemaType,
+    product: meta.product?.name,
+    brand: meta.product?.brand,
+    price: meta.product?.price,
+    high_price: meta.product?.highPrice,
+    currency: meta.product?.currency,
+    availability: meta.product?.availability,
+    rating: meta.rating?.value,
+    rating_count: meta.rating?.count,
+  };
+}
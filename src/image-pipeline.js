@@ -0,0 +1,87 @@
+/**
+ * Blog Content Extractor - Image pipeline
+ * Prepares downloaded images for the blog before they go into the ZIP
+ * export: scales them down to a maximum width, re-encodes them (WebP, AVIF,
+ * JPEG or the original type) and records their final size. Re-encoding
+ * through a canvas drops EXIF and other metadata. Runs in the popup with
+ * createImageBitmap() and OffscreenCanvas.
+ */
+
+import { imageExtension } from './assets.js';
+
+/**
+ * Output formats: 'none' keeps the downloaded bytes, 'original' re-encodes
+ * to the same type (stripping metadata).
+ */
+export const IMAGE_FORMATS = ['none', 'original', 'webp', 'avif', 'jpeg'];
+
+export const DEFAULT_IMAGE_SETTINGS = { format: 'none', maxWidth: 1600, quality: 82 };
+
+// Raster types a canvas can decode; GIFs would lose their animation, SVGs are already small
+const PROCESSABLE = new Set(['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/bmp']);
+
+// Types canvas encoders produce; anything else is written as PNG
+const ENCODABLE = new Set(['image/jpeg', 'image/png', 'image/webp', 'image/avif']);
+
+/** Settings from storage or the popup, with out-of-range values replaced by defaults. */
+export function normalizeImageSettings(settings = {}) {
+  const number = (value, min, max, fallback) => {
+    const n = Math.round(Number(value));
+    return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+  };
+  return {
+    format: IMAGE_FORMATS.includes(settings.format) ? settings.format : DEFAULT_IMAGE_SETTINGS.format,
+    // 0 means no resizing
+    maxWidth: number(settings.maxWidth, 0, 10000, DEFAULT_IMAGE_SETTINGS.maxWidth),
+    quality: number(settings.quality, 1, 100, DEFAULT_IMAGE_SETTINGS.quality),
+  };
+}
+
+/** Size of an image scaled down (never up) to `maxWidth`, keeping its aspect ratio. */
+export function fitWidth(width, height, maxWidth) {
+  if (!maxWidth || width <= maxWidth) return { width, height };
+  return { width: maxWidth, height: Math.max(1, Math.round((height * maxWidth) / width)) };
+}
+
+function targetType(mimeType, format) {
+  if (format === 'original') return ENCODABLE.has(mimeType) ? mimeType : 'image/png';
+  return `image/${format}`;
+}
+
+/**
+ * Resize and re-encode one downloaded image ({ path, mimeType, data } from
+ * downloadImages()). Returns the file with new data, type, extension and
+ * `width`/`height`; types the pipeline leaves alone come back unchanged.
+ * `env` supplies createImageBitmap and OffscreenCanvas (the popup's globals).
+ */
+export async function processImage(file, settings, env = globalThis) {
+  const { format, maxWidth, quality } = normalizeImageSettings(settings);
+  if (format === 'none' || !PROCESSABLE.has(file.mimeType)) return file;
+
+  const bitmap = await env.createImageBitmap(new Blob([file.data], { type: file.mimeType }));
+  const { width, height } = fitWidth(bitmap.width, bitmap.height, maxWidth);
+  const canvas = new env.OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d');
+  const type = targetType(file.mimeType, format);
+  // JPEG has no alpha: transparent areas would turn black
+  if (type === 'image/jpeg') {
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+  }
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  let blob = await canvas.convertToBlob({ type, quality: quality / 100 });
+  // Without an encoder for the type (AVIF in most browsers) canvas returns PNG; WebP is the closer fit
+  if (blob.type !== type && type !== 'image/webp') blob = await canvas.convertToBlob({ type: 'image/webp', quality: quality / 100 });
+
+  return {
+    ...file,
+    path: file.path.replace(/\.\w+$/, `.${imageExtension('', blob.type)}`),
+    mimeType: blob.type,
+    data: new Uint8Array(await blob.arrayBuffer()),
+    width,
+    height,
+  };
+}
@@ -0,0 +1,280 @@
+/**
+ * Blog Content Extractor - Image source helpers
+ * Picks the real image URL behind lazy-loading attributes, srcset and CSS
+ * background images, and decides which images are worth keeping: tracking
+ * pixels, icons and thin strips are skipped by size, and resized copies of
+ * one image are recognised by their normalized URL.
+ */
+
+import { resolveUrl } from './url.js';
+
+// Data attributes carrying live-page information onto snapshot clones
+export const BG_ATTR = 'data-extractor-bg';
+export const CURRENT_SRC_ATTR = 'data-extractor-src';
+export const NATURAL_SIZE_ATTR = 'data-extractor-size';
+
+// Smaller than this in both directions is an icon, not an illustration
+const MIN_IMAGE_SIZE = 48;
+// Longer side over shorter side from which a narrow image is a divider or border
+const MAX_ASPECT_RATIO = 8;
+const MIN_STRIP_SIDE = 100;
+
+// Query parameters image CDNs use to serve resized copies (WordPress/Jetpack, imgix, Unsplash...)
+const RESIZE_PARAMS = new Set([
+  'w', 'h', 'width', 'height', 'resize', 'fit', 'crop', 'q', 'quality', 'auto',
+  'fm', 'format', 'dpr', 'ixlib', 'strip',
+]);
+
+/** Return true if a URL looks like a tiny placeholder/icon (not real content). */
+export function isPlaceholderSrc(src) {
+  if (!src) return true;
+  const lower = src.toLowerCase();
+  if (
+    lower.includes('placeholder') ||
+    lower.includes('spacer') ||
+    lower.includes('blank.gif') ||
+    lower.includes('transparent.png') ||
+    lower.includes('no-image') ||
+    lower.includes('noimage') ||
+    lower.includes('loading.gif') ||
+    lower.includes('loader.')
+  ) return true;
+  // Very small base64 images are likely placeholders / LQIP / spinners
+  if (lower.startsWith('data:image') && src.length < 2000) return true;
+  return false;
+}
+
+/** A width or height attribute in CSS pixels, or null for percentages and junk. */
+function pixelAttr(el, name) {
+  const value = el.getAttribute(name) || '';
+  return /^\s*\d+(?:\.\d+)?\s*(?:px)?\s*$/.test(value) ? parseFloat(value) : null;
+}
+
+/** Size the loaded image had in the page (as recorded by snapshotContent() on clones), or null. */
+function naturalSize(img) {
+  const match = (img.getAttribute(NATURAL_SIZE_ATTR) || '').match(/^(\d+)x(\d+)$/);
+  if (match) return { width: Number(match[1]), height: Number(match[2]) };
+  return img.naturalWidth ? { width: img.naturalWidth, height: img.naturalHeight } : null;
+}
+
+/**
+ * Get the best real image src from an <img>, trying multiple attributes.
+ * Priority:
+ *   1. currentSrc (browser-resolved, best quality in responsive images)
+ *   2. src (if not a placeholder)
+ *   3. data-src / data-lazy-src / data-original / etc. (lazy-load)
+ *   4. srcset / data-srcset best candidate
+ * A loaded image of a pixel or two is a lazy-load placeholder whatever its
+ * file is called, so the lazy attributes win over it.
+ */
+export function getImgSrc(img, baseUrl) {
+  const natural = naturalSize(img);
+  const loadedPlaceholder = natural !== null && Math.min(natural.width, natural.height) <= 2;
+
+  // 1. Use currentSrc if available (browser already picked best srcset src;
+  //    snapshots carry it over as an attribute since clones never load)
+  const currentSrc = img.getAttribute(CURRENT_SRC_ATTR) || img.currentSrc;
+  if (currentSrc && !loadedPlaceholder && !isPlaceholderSrc(currentSrc)) {
+    return resolveUrl(currentSrc, baseUrl);
+  }
+
+  // 2. Use src if not a placeholder
+  const src = img.getAttribute('src');
+  if (src && !loadedPlaceholder && !isPlaceholderSrc(src) && !src.startsWith('data:')) {
+    return resolveUrl(src, baseUrl);
+  }
+
+  // 3. Lazy-load data attributes
+  const lazyAttrs = [
+    'data-src',
+    'data-lazy-src',
+    'data-original',
+    'data-url',
+    'data-image',
+    'data-img-src',
+    'data-full-src',
+    'data-echo',
+    'data-lazy',
+  ];
+  for (const attr of lazyAttrs) {
+    const val = img.getAttribute(attr);
+    if (val && !isPlaceholderSrc(val)) {
+      return resolveUrl(val, baseUrl);
+    }
+  }
+
+  // 4. Parse srcset / data-srcset and pick highest resolution
+  for (const attr of ['srcset', 'data-srcset']) {
+    const setVal = img.getAttribute(attr);
+    if (setVal) {
+      const best = parseSrcset(setVal, pixelAttr(img, 'width'));
+      if (best && !isPlaceholderSrc(best)) return resolveUrl(best, baseUrl);
+    }
+  }
+
+  // 5. Fallback: accept src even if it might be placeholder (last resort)
+  if (src && !src.startsWith('data:')) return resolveUrl(src, baseUrl);
+  if (img.src && !img.src.startsWith('data:')) return resolveUrl(img.src, baseUrl);
+
+  return '';
+}
+
+/**
+ * Candidates of a srcset as [{ url, width, density }]: `width` for a "480w"
+ * descriptor, otherwise `density` (1 without a descriptor). URLs may
+ * contain commas (Cloudinary's w_300,h_200); only a comma after the URL
+ * or its descriptors separates candidates.
+ */
+export function parseSrcsetCandidates(srcset) {
+  const candidates = [];
+  let rest = srcset || '';
+  for (;;) {
+    rest = rest.replace(/^[\s,]+/, '');
+    if (!rest) break;
+    let url = rest.match(/^\S+/)[0];
+    rest = rest.slice(url.length);
+    let descriptors = '';
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      descriptors = rest.match(/^[^,]*/)[0];
+      rest = rest.slice(descriptors.length);
+    }
+    const candidate = { url, width: null, density: 1 };
+    for (const descriptor of descriptors.trim().split(/\s+/)) {
+      if (/^\d+w$/.test(descriptor)) candidate.width = parseInt(descriptor, 10);
+      else if (/^\d*\.?\d+x$/.test(descriptor)) candidate.density = parseFloat(descriptor);
+    }
+    candidates.push(candidate);
+  }
+  return candidates;
+}
+
+/**
+ * Parse srcset string and return the largest candidate's URL. Width and
+ * density descriptors only compare through the image's layout width
+ * (`baseWidth`, e.g. its width attribute): 2x of a 600px image is 1200
+ * pixels wide. Without it a mixed srcset is judged by its "w" candidates.
+ */
+export function parseSrcset(srcset, baseWidth = null) {
+  const candidates = parseSrcsetCandidates(srcset);
+  if (candidates.length === 0) return '';
+  let pool = candidates;
+  let key = (c) => c.width ?? c.density * baseWidth;
+  if (!baseWidth && candidates.some(c => c.width === null)) {
+    const widths = candidates.filter(c => c.width !== null);
+    pool = widths.length ? widths : candidates;
+    key = (c) => c.width ?? c.density;
+  }
+  return pool.reduce((best, c) => (key(c) > key(best) ? c : best)).url;
+}
+
+/**
+ * Size an <img> shows at: the natural size of the loaded image when
+ * `src` is the one the page loaded, else its width and height attributes.
+ * Null when unknown (jsdom never loads images).
+ */
+export function getImgSize(img, src, baseUrl) {
+  const natural = naturalSize(img);
+  const loaded = img.getAttribute(CURRENT_SRC_ATTR) || img.currentSrc;
+  if (natural && loaded && resolveUrl(loaded, baseUrl) === src) return natural;
+  const width = pixelAttr(img, 'width');
+  const height = pixelAttr(img, 'height');
+  return width !== null && height !== null ? { width, height } : null;
+}
+
+/**
+ * Why an image of `size` is not content, or null to keep it:
+ * 'tracking-pixel' (1x1 beacons, spacers), 'icon' (smaller than 48px both
+ * ways) or 'aspect-ratio' (thin strips: dividers, borders, shadows).
+ */
+export function imageSkipReason(size) {
+  if (!size) return null;
+  const short = Math.min(size.width, size.height);
+  const long = Math.max(size.width, size.height);
+  if (short <= 2) return 'tracking-pixel';
+  if (long < MIN_IMAGE_SIZE) return 'icon';
+  if (long / short >= MAX_ASPECT_RATIO && short < MIN_STRIP_SIDE) return 'aspect-ratio';
+  return null;
+}
+
+/**
+ * Key under which resized copies of one image compare equal: resize query
+ * parameters, WordPress thumbnail suffixes (-300x200, -scaled), retina
+ * suffixes (@2x) and Cloudinary transformations are dropped, and the
+ * scheme and fragment are ignored.
+ */
+export function normalizeImageUrl(url) {
+  if (url.startsWith('data:')) return url;
+  let parsed;
+  try { parsed = new URL(url); } catch { return url; }
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (RESIZE_PARAMS.has(name.toLowerCase())) parsed.searchParams.delete(name);
+  }
+  parsed.pathname = parsed.pathname
+    .replace(/(?:-\d+x\d+|-scaled|@\d(?:\.\d+)?x)+(?=\.\w+$)/i, '')
+    .replace(/\/(upload|fetch)\/(?:[a-z]{1,3}_[^/]+\/)+/, '/$1/');
+  return `//${parsed.host}${parsed.pathname}${parsed.search}`;
+}
+
+/** True for the URL of a resized copy, one that normalizeImageUrl() shortens. */
+export function isResizedImageUrl(url) {
+  let parsed;
+  try { parsed = new URL(url); } catch { return false; }
+  return normalizeImageUrl(url) !== `//${parsed.host}${parsed.pathname}${parsed.search}`;
+}
+
+/** Return the first url(...) of a CSS background-image value, or ''. */
+export function parseCssUrl(bg) {
+  if (!bg || bg === 'none') return '';
+  const match = bg.match(/url\(["']?([^"')]+)["']?\)/);
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Get a real image URL from an element's CSS background-image, as recorded
+ * by snapshotContent(). Returns '' if none found.
+ */
+export function getCssBackgroundImage(el, baseUrl) {
+  const url = el.getAttribute(BG_ATTR);
+  if (!url || isPlaceholderSrc(url)) return '';
+  return resolveUrl(url, baseUrl);
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** Width and height of an inline <svg> from its attributes or viewBox, or null. */
+function svgSize(svg) {
+  const px = (value) => (/^\s*[\d.]+\s*(?:px)?\s*$/.test(value || '') ? parseFloat(value) : null);
+  const width = px(svg.getAttribute('width'));
+  const height = px(svg.getAttribute('height'));
+  if (width !== null && height !== null) return { width, height };
+  const box = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  return box.length === 4 && box.every(Number.isFinite) ? { width: box[2], height: box[3] } : null;
+}
+
+/**
+ * True for inline SVG worth keeping as an image: not hidden from screen
+ * readers, not an icon-sized glyph and not a bare <use> of a sprite sheet.
+ */
+export function isIllustrationSvg(svg) {
+  if (svg.getAttribute('aria-hidden') === 'true') return false;
+  if (/(?:^|[\s_-])icon/i.test(svg.getAttribute('class') || '')) return false;
+  const children = [...svg.children].filter(c => !['title', 'desc', 'defs'].includes(c.tagName.toLowerCase()));
+  if (children.length === 0 || children.every(c => c.tagName.toLowerCase() === 'use')) return false;
+  const size = svgSize(svg);
+  return !size || (size.width >= MIN_IMAGE_SIZE && size.height >= MIN_IMAGE_SIZE);
+}
+
+/** Serialize an inline <svg> as a standalone base64 data: URL. */
+export function svgToDataUri(svg) {
+  const clone = svg.cloneNode(true);
+  if (!clone.getAttribute('xmlns')) clone.setAttribute('xmlns', SVG_NS);
+  if (!clone.getAttribute('xmlns:xlink') && /\sxlink:/.test(clone.outerHTML)) {
+    clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+  }
+  const bytes = new TextEncoder().encode(clone.outerHTML);
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return `data:image/svg+xml;base64,${btoa(binary)}`;
+}
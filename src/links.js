@@ -0,0 +1,204 @@
+/**
+ * Blog Content Extractor - Link rewriting
+ * Cleans the links of an extracted article: drops tracking parameters,
+ * unwraps redirector links to their target and turns Shopee and TikTok
+ * Shop product links into the site's own affiliate links. Short links
+ * (shope.ee, vt.tiktok.com, a site's /go/ pages) only reveal their target
+ * over the network; the popup resolves them on request with
+ * resolveShortLinks() and rewrites the results the same way.
+ *
+ * Rules look like:
+ *   {
+ *     stripParams: ['utm_*', 'fbclid'],           // query parameters to drop, * is a wildcard
+ *     redirectors: [{ pattern, params: ['u'] }],  // where the target of a redirector link is
+ *     shortLinks: ['shope.ee', '{site}/go/*'],    // links to resolve over the network
+ *     affiliates: { shopee: '', tiktok: '' },     // templates with {id}, {shop}, {url}; '' keeps the link
+ *   }
+ *
+ * Patterns are those of site rules (see matchesUrl()); {site} stands for
+ * the host of the article being extracted.
+ */
+
+import { matchesUrl } from './site-rules.js';
+import { mapDocument } from './tree.js';
+
+export const DEFAULT_LINK_RULES = {
+  stripParams: [
+    'utm_*', 'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'ttclid', 'igshid',
+    'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src', 'sp_atk', 'xptdk', 'af_*',
+  ],
+  redirectors: [
+    { pattern: '*facebook.com/l.php', params: ['u'] },
+    { pattern: 'www.google.com/url', params: ['q', 'url'] },
+    { pattern: 'out.reddit.com/*', params: ['url'] },
+    { pattern: '*shopee.vn/universal-link*', params: ['redir'] },
+    { pattern: 's.shopee.vn/an_redir', params: ['origin_link'] },
+    { pattern: '{site}/go/*', params: ['url', 'u', 'to', 'link'] },
+  ],
+  shortLinks: ['shope.ee', 's.shopee.vn', 'vt.tiktok.com', 'vm.tiktok.com', '{site}/go/*'],
+  affiliates: { shopee: '', tiktok: '' },
+};
+
+// Redirectors wrapped in redirectors (a Facebook link to a Shopee universal link) are unwrapped this deep
+const MAX_UNWRAP = 5;
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Rules from storage or an imported file, with missing parts taken from the defaults. */
+export function normalizeLinkRules(rules = {}) {
+  const list = (value, fallback) => (Array.isArray(value) ? value.map(v => String(v).trim()).filter(Boolean) : fallback);
+  const redirectors = Array.isArray(rules.redirectors)
+    ? rules.redirectors
+      .map(r => ({ pattern: String(r?.pattern || '').trim(), params: list(r?.params, []) }))
+      .filter(r => r.pattern && r.params.length)
+    : DEFAULT_LINK_RULES.redirectors;
+  return {
+    stripParams: list(rules.stripParams, DEFAULT_LINK_RULES.stripParams),
+    redirectors,
+    shortLinks: list(rules.shortLinks, DEFAULT_LINK_RULES.shortLinks),
+    affiliates: {
+      shopee: String(rules.affiliates?.shopee || '').trim(),
+      tiktok: String(rules.affiliates?.tiktok || '').trim(),
+    },
+  };
+}
+
+/** Parse the editor's redirector lines: `pattern param1 param2`. */
+export function parseRedirectors(text) {
+  return String(text).split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(([pattern, ...params]) => pattern && params.length)
+    .map(([pattern, ...params]) => ({ pattern, params }));
+}
+
+/** Format redirectors back into editor lines. */
+export function formatRedirectors(redirectors) {
+  return (redirectors || []).map(r => [r.pattern, ...r.params].join(' ')).join('\n');
+}
+
+/** The http(s) URL `value` holds, or '' (a redirector's parameter may hold anything). */
+function httpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : '';
+  } catch {
+    return '';
+  }
+}
+
+/** matchesUrl() with {site} standing for the host of `pageUrl`. */
+function matchesLink(pattern, url, pageUrl) {
+  if (!pattern.includes('{site}')) return matchesUrl(pattern, url);
+  let host;
+  try { host = new URL(pageUrl).host; } catch { return false; }
+  return matchesUrl(pattern.replaceAll('{site}', host), url);
+}
+
+/** Target of a redirector link, or ''. */
+function unwrapRedirect(url, redirectors, pageUrl) {
+  const redirector = redirectors.find(r => matchesLink(r.pattern, url, pageUrl));
+  if (!redirector) return '';
+  const params = new URL(url).searchParams;
+  for (const name of redirector.params) {
+    const target = httpUrl(params.get(name) || '');
+    if (target) return target;
+  }
+  return '';
+}
+
+/** `url` without the query parameters `patterns` name, or `url` itself when it has none. */
+function stripTracking(url, patterns) {
+  const regexes = patterns.map(p => new RegExp('^' + p.split('*').map(escapeRegExp).join('.*') + '$', 'i'));
+  const parsed = new URL(url);
+  const names = [...new Set(parsed.searchParams.keys())].filter(name => regexes.some(re => re.test(name)));
+  if (names.length === 0) return url;
+  for (const name of names) parsed.searchParams.delete(name);
+  return parsed.href;
+}
+
+/**
+ * The product a Shopee or TikTok Shop link points at, as { store, id, shop,
+ * url } (`url` the plain product page), or null.
+ */
+export function findProduct(url) {
+  let parsed;
+  try { parsed = new URL(url); } catch { return null; }
+  const host = parsed.hostname.toLowerCase();
+  if (/(?:^|\.)shopee\.[a-z.]+$/.test(host)) {
+    // /Ten-san-pham-i.<shop>.<item> or /product/<shop>/<item>
+    const match = parsed.pathname.match(/-i\.(\d+)\.(\d+)(?:$|\/)/) || parsed.pathname.match(/^\/product\/(\d+)\/(\d+)/);
+    if (match) return { store: 'shopee', id: match[2], shop: match[1], url: `https://${host}/product/${match[1]}/${match[2]}` };
+  }
+  if (/(?:^|\.)tiktok\.com$/.test(host)) {
+    // shop.tiktok.com/view/product/<id> or /pdp/<slug>/<id>
+    const match = parsed.pathname.match(/\/product\/(\d+)/) || parsed.pathname.match(/\/pdp\/(?:[^/]+\/)?(\d+)/);
+    if (match) return { store: 'tiktok', id: match[1], shop: '', url: `https://${host}/view/product/${match[1]}` };
+  }
+  return null;
+}
+
+/** An affiliate template filled in for `product`. */
+export function fillAffiliateTemplate(template, product) {
+  return template.replace(/\{(id|shop|url)\}/g, (_, key) => (key === 'url' ? encodeURIComponent(product.url) : product[key]));
+}
+
+/**
+ * Apply `rules` to one absolute URL of the article at `pageUrl`. Returns
+ * { url, reasons }: reasons are 'redirect' (a redirector was unwrapped),
+ * 'tracking' (parameters dropped) and 'affiliate' (a product link
+ * replaced), empty when nothing changed.
+ */
+export function rewriteLink(url, rules, pageUrl = '') {
+  const reasons = [];
+  if (!httpUrl(url)) return { url, reasons };
+
+  let current = url;
+  for (let depth = 0; depth < MAX_UNWRAP; depth++) {
+    const target = unwrapRedirect(current, rules.redirectors, pageUrl);
+    if (!target) break;
+    current = target;
+    if (!reasons.includes('redirect')) reasons.push('redirect');
+  }
+
+  const product = findProduct(current);
+  const template = product && rules.affiliates[product.store];
+  if (template) {
+    reasons.push('affiliate');
+    return { url: fillAffiliateTemplate(template, product), reasons };
+  }
+
+  const stripped = stripTracking(current, rules.stripParams);
+  if (stripped !== current) reasons.push('tracking');
+  return { url: stripped, reasons };
+}
+
+/** True if the target of `url` can only be learnt by following it. */
+export function isShortLink(url, rules, pageUrl = '') {
+  return rules.shortLinks.some(pattern => matchesLink(pattern, url, pageUrl));
+}
+
+/**
+ * Follow short links to where they lead, a few at a time. Returns a Map of
+ * short link to final URL; links that fail to load are left out.
+ */
+export async function resolveShortLinks(urls, { fetch = globalThis.fetch, concurrency = 4 } = {}) {
+  const resolved = new Map();
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const url = urls[next++];
+      try {
+        // No cookies: the reader's session must not reach the shop or count as their click
+        const res = await fetch(url, { credentials: 'omit', redirect: 'follow' });
+        if (res.url && res.url !== url) resolved.set(url, res.url);
+      } catch { /* left as it is */ }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+  return resolved;
+}
+
+/** Copy of a document tree with link URLs replaced from `urls`, a Map of old URL to new. */
+export function replaceLinks(doc, urls) {
+  return mapDocument(doc, (node) => (node.type === 'link' && urls.has(node.url) ? { ...node, url: urls.get(node.url) } : node));
+}
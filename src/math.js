@@ -0,0 +1,119 @@
+/**
+ * Blog Content Extractor - Math
+ * Recovers the TeX source behind KaTeX, MathJax (2 and 3) and MathML
+ * (Wikipedia) formulas, so the document tree holds the formula instead of
+ * the span soup the renderers produce. Each output format writes it its
+ * own way ($...$ in Markdown, \(...\) in HTML).
+ */
+
+import { escapeAttr } from './url.js';
+
+// MathJax 2 keeps the source in these scripts next to its output
+export const MATH_SCRIPT_SELECTOR = 'script[type^="math/tex"]';
+
+// MathJax 2 output and previews: the script after them is converted instead
+const MATHJAX2_OUTPUT_SELECTOR = [
+  '.MathJax_Preview', '.MathJax_Display', '.MathJax_SVG_Display', '.MathJax_MathML',
+  'span.MathJax', 'span.MathJax_SVG', 'span.MathJax_CHTML', 'span.MathJax_PHTML',
+].join(', ');
+
+const TEX_ANNOTATION = 'annotation[encoding="application/x-tex"], annotation[encoding="TeX"]';
+
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+
+// MathML presentation markup kept when a formula is copied as MathML
+const MATHML_TAGS = new Set([
+  'math', 'semantics', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'msup', 'msub', 'msubsup', 'mfrac',
+  'msqrt', 'mroot', 'mover', 'munder', 'munderover', 'mmultiscripts', 'mprescripts', 'none', 'mtable', 'mtr',
+  'mtd', 'mlabeledtr', 'mstyle', 'mpadded', 'mphantom', 'menclose', 'mfenced', 'merror',
+]);
+const MATHML_ATTRS = new Set([
+  'display', 'dir', 'mathvariant', 'mathsize', 'displaystyle', 'scriptlevel', 'accent', 'accentunder', 'stretchy',
+  'fence', 'separator', 'separators', 'lspace', 'rspace', 'largeop', 'movablelimits', 'symmetric', 'minsize',
+  'maxsize', 'form', 'linethickness', 'width', 'height', 'depth', 'voffset', 'notation', 'open', 'close',
+  'columnalign', 'rowalign', 'columnspan', 'rowspan', 'columnlines', 'rowlines', 'columnspacing', 'rowspacing', 'frame',
+]);
+// Dropped with their content; other unknown elements leave their content behind
+const MATHML_DROP_TAGS = new Set(['annotation', 'annotation-xml', 'script', 'style']);
+
+const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * MathML rebuilt from the elements and attributes above, so nothing else
+ * the page put on it (event handlers, links, styles) reaches the output.
+ */
+function serializeMathMl(node) {
+  if (node.nodeType === TEXT_NODE) return escapeText(node.data);
+  if (node.nodeType !== ELEMENT_NODE) return '';
+  const tag = node.localName.toLowerCase();
+  if (MATHML_DROP_TAGS.has(tag)) return '';
+  const inner = [...node.childNodes].map(serializeMathMl).join('');
+  if (!MATHML_TAGS.has(tag)) return inner;
+  const attrs = [...node.attributes]
+    .filter(attr => MATHML_ATTRS.has(attr.name.toLowerCase()) || (attr.name === 'xmlns' && attr.value === MATHML_NS))
+    .map(attr => ` ${attr.name.toLowerCase()}="${escapeAttr(attr.value)}"`)
+    .join('');
+  return `<${tag}${attrs}>${inner}</${tag}>`;
+}
+
+/** Strip the \displaystyle wrapper Wikipedia puts around every formula. */
+function cleanTex(tex) {
+  const trimmed = tex.trim();
+  const wrapped = trimmed.match(/^\{\\displaystyle\s*([\s\S]*)\}$/);
+  return (wrapped ? wrapped[1] : trimmed).trim();
+}
+
+/** TeX of a <math> element, or its MathML when it carries none. */
+function fromMathMl(math, display) {
+  const tex = math.querySelector(TEX_ANNOTATION)?.textContent || math.getAttribute('alttext') || '';
+  if (tex.trim()) return { tex: cleanTex(tex), display };
+  return { mathml: serializeMathMl(math), display };
+}
+
+/**
+ * The formula an element stands for: `{ tex, display }`, or `{ mathml,
+ * display }` when only MathML is available. Returns `{ skip: true }` for
+ * renderer output whose source is converted elsewhere, null otherwise.
+ */
+export function findMath(el) {
+  const tag = el.tagName.toLowerCase();
+
+  if (tag === 'script') {
+    if (!el.matches(MATH_SCRIPT_SELECTOR)) return null;
+    return { tex: cleanTex(el.textContent), display: /mode\s*=\s*display/.test(el.getAttribute('type')) };
+  }
+
+  // KaTeX: .katex-display wraps a display-mode .katex
+  if (el.classList.contains('katex-display') || el.classList.contains('katex')) {
+    const display = el.classList.contains('katex-display');
+    const annotation = el.querySelector(TEX_ANNOTATION);
+    if (annotation) return { tex: cleanTex(annotation.textContent), display };
+    const math = el.querySelector('math');
+    return math ? fromMathMl(math, display) : null;
+  }
+
+  // MathJax 3: source only when the page keeps it (data-latex or a TeX annotation)
+  if (tag === 'mjx-container') {
+    const display = el.getAttribute('display') === 'true' || el.getAttribute('display') === 'block';
+    const latex = el.getAttribute('data-latex');
+    if (latex) return { tex: cleanTex(latex), display };
+    const math = el.querySelector('math');
+    return math ? fromMathMl(math, display) : { skip: true };
+  }
+
+  // Wikipedia: MathML plus a fallback <img> carrying the TeX as alt text
+  if (el.classList.contains('mwe-math-element')) {
+    const display = !!el.querySelector('.mwe-math-mathml-display, .mwe-math-fallback-image-display');
+    const math = el.querySelector('math');
+    if (math) return fromMathMl(math, display);
+    const alt = el.querySelector('img')?.getAttribute('alt') || '';
+    return alt ? { tex: cleanTex(alt), display } : null;
+  }
+
+  if (tag === 'math') return fromMathMl(el, el.getAttribute('display') === 'block');
+
+  if (el.matches(MATHJAX2_OUTPUT_SELECTOR)) return { skip: true };
+  return null;
+}
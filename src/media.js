@@ -0,0 +1,103 @@
+/**
+ * Blog Content Extractor - Video and audio
+ * Reads <video>/<audio> elements (sources, poster, caption tracks,
+ * lazy-loaded variants) and writes them as an HTML player or as plain
+ * Markdown links for blogs that strip raw HTML.
+ */
+
+import { resolveUrl, isSafeUrl, safeMarkdownUrl, escapeAttr } from './url.js';
+
+export const MEDIA_MODES = ['html', 'link'];
+
+const lazySrc = (el) => el.getAttribute('src') || el.getAttribute('data-src') || el.getAttribute('data-lazy-src') || '';
+
+// Label for a source without a MIME type
+const typeFromUrl = (url) => url.match(/\.(\w{2,4})(?:[?#]|$)/)?.[1]?.toUpperCase() || '';
+
+/**
+ * Everything needed to re-create a <video> or <audio> element, or null when
+ * it has no playable source. Sources are de-duplicated and keep their MIME
+ * type; tracks keep kind, language, label and the default flag.
+ */
+export function readMedia(el, baseUrl) {
+  const kind = el.tagName.toLowerCase();
+  const sources = [];
+  const seen = new Set();
+  const addSource = (src, type = '') => {
+    const url = src && resolveUrl(src, baseUrl);
+    if (!url || !isSafeUrl(url) || seen.has(url)) return;
+    seen.add(url);
+    sources.push({ src: url, type });
+  };
+  addSource(lazySrc(el));
+  for (const source of el.querySelectorAll('source')) {
+    addSource(lazySrc(source), source.getAttribute('type')?.trim() || '');
+  }
+  if (!sources.length) return null;
+
+  const tracks = [...el.querySelectorAll('track')]
+    .map(track => ({
+      src: resolveUrl(lazySrc(track), baseUrl),
+      kind: track.getAttribute('kind') || 'subtitles',
+      srclang: track.getAttribute('srclang') || '',
+      label: track.getAttribute('label') || '',
+      default: track.hasAttribute('default'),
+    }))
+    .filter(track => isSafeUrl(track.src) && track.kind !== 'metadata');
+
+  const poster = kind === 'video' ? el.getAttribute('poster') || el.getAttribute('data-poster') || '' : '';
+  return {
+    kind,
+    sources,
+    tracks,
+    poster: poster && isSafeUrl(resolveUrl(poster, baseUrl), { image: true }) ? resolveUrl(poster, baseUrl) : '',
+    title: (el.getAttribute('title') || el.getAttribute('aria-label') || '').trim(),
+  };
+}
+
+function renderMediaHtml({ kind, sources, tracks, poster, title }) {
+  const attrs = [
+    'controls',
+    title ? ` title="${escapeAttr(title)}"` : '',
+    poster ? ` poster="${escapeAttr(poster)}"` : '',
+    kind === 'video' ? ' style="max-width:100%"' : '',
+  ].join('');
+  // A single untyped source stays on the element itself
+  if (sources.length === 1 && !sources[0].type && !tracks.length) {
+    return `<${kind} src="${escapeAttr(sources[0].src)}" ${attrs}></${kind}>`;
+  }
+  const children = [
+    ...sources.map(s => `<source src="${escapeAttr(s.src)}"${s.type ? ` type="${escapeAttr(s.type)}"` : ''}>`),
+    ...tracks.map(t =>
+      `<track kind="${escapeAttr(t.kind)}" src="${escapeAttr(t.src)}"` +
+      (t.srclang ? ` srclang="${escapeAttr(t.srclang)}"` : '') +
+      (t.label ? ` label="${escapeAttr(t.label)}"` : '') +
+      (t.default ? ' default' : '') + '>'),
+  ];
+  // No blank lines: they would end the HTML block in Markdown
+  return `<${kind} ${attrs}>\n${children.map(c => `  ${c}`).join('\n')}\n</${kind}>`;
+}
+
+const linkText = (text) => text.replace(/[\\[\]*_`<]/g, '\\$&');
+
+function renderMediaLinks({ kind, sources, tracks, poster, title }, withPoster) {
+  const label = linkText(title ? `${kind === 'video' ? 'Video' : 'Audio'}: ${title}` : kind === 'video' ? 'Video' : 'Audio');
+  const main = safeMarkdownUrl(sources[0].src);
+  const lines = [withPoster && poster ? `[![${label}](${safeMarkdownUrl(poster)})](${main})` : `[${label}](${main})`];
+  if (sources.length > 1) {
+    lines.push('Sources: ' + sources.map(s => `[${linkText(s.type || typeFromUrl(s.src) || 'file')}](${safeMarkdownUrl(s.src)})`).join(' · '));
+  }
+  if (tracks.length) {
+    lines.push('Captions: ' + tracks.map(t => `[${linkText(t.label || t.srclang || t.kind)}](${safeMarkdownUrl(t.src)})`).join(' · '));
+  }
+  return lines.join('\n\n');
+}
+
+/**
+ * Render media read by readMedia(): an HTML <video>/<audio> player, or a
+ * link to the first source (the poster as its image when `withPoster`),
+ * followed by links to the other sources and caption files.
+ */
+export function renderMedia(media, mode = 'html', { withPoster = true } = {}) {
+  return mode === 'link' ? renderMediaLinks(media, withPoster) : renderMediaHtml(media);
+}
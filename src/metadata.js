@@ -0,0 +1,264 @@
+/**
+ * Blog Content Extractor - Metadata
+ * Page metadata from meta tags, <link> and JSON-LD.
+ */
+
+import { resolveUrl } from './url.js';
+import { getImgSrc, getImgSize, imageSkipReason } from './images.js';
+
+/** Return the `content` of the first matching <meta>, trimmed. */
+function getMetaContent(doc, ...selectors) {
+  for (const sel of selectors) {
+    const value = doc.querySelector(sel)?.getAttribute('content')?.trim();
+    if (value) return value;
+  }
+  return '';
+}
+
+// ---- JSON-LD / schema.org ----
+
+// Lower index = more likely to describe the page's main content.
+const PRIMARY_SCHEMA_TYPES = [
+  'Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'Report', 'ScholarlyArticle',
+  'Review', 'Product', 'Recipe', 'HowTo', 'VideoObject',
+];
+
+function schemaTypes(node) {
+  const type = node?.['@type'];
+  return (Array.isArray(type) ? type : [type]).filter(Boolean).map(t => String(t).replace(/^.*[/#]/, ''));
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/** Unwrap {"@value": ...} and single-item arrays into a plain string. */
+function schemaText(value) {
+  const first = asArray(value)[0];
+  if (first === undefined || first === null) return '';
+  if (typeof first === 'object') return String(first['@value'] ?? first.name ?? '').trim();
+  return String(first).trim();
+}
+
+/**
+ * Parse a schema.org number, tolerating thousands separators: "1.990.000",
+ * "1,990", and with both kinds "1,990.50" / "1.990,50", where the last one
+ * is the decimal point.
+ */
+function schemaNumber(value) {
+  let text = schemaText(value).replace(/[^\d.,-]/g, '');
+  const last = Math.max(text.lastIndexOf('.'), text.lastIndexOf(','));
+  if (text.includes('.') && text.includes(',')) text = text.slice(0, last).replace(/[.,]/g, '') + '.' + text.slice(last + 1);
+  else if (/^-?\d{1,3}([.,])\d{3}(\1\d{3})+$/.test(text)) text = text.replace(/[.,]/g, '');
+  else if (!text.includes('.')) text = /,\d{3}$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+  const num = parseFloat(text);
+  return Number.isFinite(num) ? num : undefined;
+}
+
+/**
+ * Parse every <script type="application/ld+json"> block into a flat list of
+ * nodes. @graph arrays are expanded and {"@id"} references are resolved
+ * against the other nodes so Yoast-style graphs work.
+ */
+function parseJsonLdNodes(doc) {
+  const nodes = [];
+  const queue = [];
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      // Some CMSes wrap the JSON in HTML comments or CDATA
+      const text = script.textContent.replace(/^\s*(<!--|\/\/<!\[CDATA\[)/, '').replace(/(-->|\/\/\]\]>)\s*$/, '');
+      queue.push(JSON.parse(text));
+    } catch { /* ignore malformed blocks */ }
+  }
+  while (queue.length) {
+    const node = queue.shift();
+    if (Array.isArray(node)) { queue.push(...node); continue; }
+    if (!node || typeof node !== 'object') continue;
+    if (node['@graph']) queue.push(node['@graph']);
+    if (node['@type']) nodes.push(node);
+  }
+
+  const byId = new Map(nodes.filter(n => n['@id']).map(n => [n['@id'], n]));
+  const deref = (value) => {
+    if (Array.isArray(value)) return value.map(deref);
+    if (value && typeof value === 'object' && value['@id'] && Object.keys(value).length === 1) {
+      return byId.get(value['@id']) || value;
+    }
+    return value;
+  };
+  for (const node of nodes) {
+    for (const key of Object.keys(node)) {
+      if (key !== '@id') node[key] = deref(node[key]);
+    }
+  }
+  return nodes;
+}
+
+/** Normalize a schema.org Person/Organization (or a list of them) to a name. */
+function personName(value) {
+  if (!value) return '';
+  if (Array.isArray(value)) return value.map(personName).filter(Boolean).join(', ');
+  if (typeof value === 'string') return value.startsWith('http') ? '' : value.trim();
+  return (value.name || '').trim();
+}
+
+function schemaImages(value, baseUrl) {
+  return asArray(value)
+    .map(img => (typeof img === 'string' ? img : img?.url || img?.contentUrl || ''))
+    .filter(Boolean)
+    .map(url => resolveUrl(url, baseUrl));
+}
+
+function schemaKeywords(value) {
+  return asArray(value).flatMap(k => String(schemaText(k)).split(',')).map(k => k.trim()).filter(Boolean);
+}
+
+function schemaRating(value) {
+  const rating = asArray(value)[0];
+  if (!rating || typeof rating !== 'object') return null;
+  const ratingValue = schemaNumber(rating.ratingValue);
+  if (ratingValue === undefined) return null;
+  return {
+    value: ratingValue,
+    best: schemaNumber(rating.bestRating),
+    count: schemaNumber(rating.ratingCount) ?? schemaNumber(rating.reviewCount),
+  };
+}
+
+/** Summarize a Product node: name, brand, price (or price range) and rating. */
+function schemaProduct(node) {
+  const offers = asArray(node.offers).flatMap(o => (o?.offers ? asArray(o.offers).concat(o) : [o]));
+  const offer = offers.find(o => o?.price !== undefined || o?.lowPrice !== undefined) || offers[0] || {};
+  return {
+    name: schemaText(node.name),
+    brand: schemaText(node.brand),
+    sku: schemaText(node.sku),
+    price: schemaNumber(offer.price ?? offer.lowPrice),
+    highPrice: schemaNumber(offer.highPrice),
+    currency: schemaText(offer.priceCurrency),
+    availability: schemaText(offer.availability).replace(/^.*schema\.org\//, ''),
+    rating: schemaRating(node.aggregateRating),
+  };
+}
+
+/**
+ * Pick the node that describes the main content and normalize the fields
+ * we care about. Returns null when the page has no usable JSON-LD.
+ */
+export function extractStructuredData(doc, baseUrl = doc.URL) {
+  const nodes = parseJsonLdNodes(doc);
+  const rank = (node) => {
+    const ranks = schemaTypes(node).map(t => PRIMARY_SCHEMA_TYPES.indexOf(t)).filter(i => i >= 0);
+    return ranks.length ? Math.min(...ranks) : Infinity;
+  };
+  const primary = nodes.filter(n => rank(n) !== Infinity).sort((a, b) => rank(a) - rank(b))[0];
+  if (!primary) return null;
+
+  // A review's product may live in itemReviewed/about instead of its own node
+  const productNode =
+    [primary, primary.itemReviewed, primary.about, primary.mainEntity, ...nodes]
+      .flatMap(asArray)
+      .find(n => n && typeof n === 'object' && schemaTypes(n).includes('Product'));
+
+  return {
+    type: schemaTypes(primary)[0],
+    headline: schemaText(primary.headline || primary.name),
+    description: schemaText(primary.description),
+    authors: asArray(primary.author || primary.creator).map(personName).filter(Boolean),
+    publisher: personName(primary.publisher),
+    datePublished: schemaText(primary.datePublished || primary.uploadDate),
+    dateModified: schemaText(primary.dateModified),
+    images: schemaImages(primary.image || primary.thumbnailUrl, baseUrl),
+    keywords: schemaKeywords(primary.keywords),
+    rating: schemaRating(primary.aggregateRating) || schemaRating(primary.reviewRating),
+    product: productNode ? schemaProduct(productNode) : null,
+  };
+}
+
+/** Merge meta keywords, article:tag metas and JSON-LD keywords into a unique list. */
+function collectKeywords(doc, structured) {
+  const raw = getMetaContent(doc, 'meta[name="keywords"]', 'meta[name="news_keywords"]').split(',');
+  raw.push(...(structured?.keywords || []));
+  for (const meta of doc.querySelectorAll('meta[property="article:tag"]')) {
+    raw.push(meta.getAttribute('content') || '');
+  }
+  const seen = new Set();
+  const keywords = [];
+  for (const kw of raw.map(k => k.trim()).filter(Boolean)) {
+    if (seen.has(kw.toLowerCase())) continue;
+    seen.add(kw.toLowerCase());
+    keywords.push(kw);
+  }
+  return keywords;
+}
+
+/** Read everything the page exposes about itself (meta tags, <link>, JSON-LD). */
+export function extractMetadata(doc, contentEl, baseUrl = doc.URL) {
+  const structured = extractStructuredData(doc, baseUrl);
+
+  const title =
+    doc.querySelector('h1')?.textContent?.trim() ||
+    structured?.headline ||
+    getMetaContent(doc, 'meta[property="og:title"]') ||
+    doc.title || 'Untitled';
+
+  const description =
+    getMetaContent(doc, 'meta[name="description"]', 'meta[property="og:description"]', 'meta[name="twitter:description"]') ||
+    structured?.description || '';
+
+  // Cover image: prefer og:image, then JSON-LD image, then first real img
+  // in content (not a tracking pixel or icon), then the poster of a video post
+  let coverImage =
+    getMetaContent(doc, 'meta[property="og:image"]', 'meta[name="twitter:image"]') ||
+    structured?.images[0] || '';
+  if (!coverImage) {
+    const firstImg = [...contentEl.querySelectorAll('img')].find((img) => {
+      const src = getImgSrc(img, baseUrl);
+      return src && !imageSkipReason(getImgSize(img, src, baseUrl));
+    });
+    if (firstImg) coverImage = getImgSrc(firstImg, baseUrl);
+  }
+  if (!coverImage) {
+    const video = contentEl.querySelector('video[poster], video[data-poster]');
+    coverImage = video?.getAttribute('poster') || video?.getAttribute('data-poster') || '';
+  }
+
+  const canonical =
+    doc.querySelector('link[rel="canonical"]')?.getAttribute('href') ||
+    getMetaContent(doc, 'meta[property="og:url"]');
+
+  // Structured authors are names; meta author is often a profile URL
+  const authors = structured?.authors.length
+    ? structured.authors
+    : [personName(getMetaContent(doc, 'meta[name="author"]', 'meta[property="article:author"]')) ||
+       doc.querySelector('[rel="author"], [itemprop="author"]')?.textContent?.trim() || ''].filter(Boolean);
+
+  const locale = getMetaContent(doc, 'meta[property="og:locale"]').replace('_', '-');
+
+  return {
+    title,
+    description,
+    coverImage: coverImage ? resolveUrl(coverImage, baseUrl) : '',
+    canonicalUrl: canonical ? resolveUrl(canonical, baseUrl) : baseUrl,
+    publishedTime:
+      structured?.datePublished ||
+      getMetaContent(doc, 'meta[property="article:published_time"]', 'meta[itemprop="datePublished"]'),
+    modifiedTime:
+      structured?.dateModified ||
+      getMetaContent(doc, 'meta[property="article:modified_time"]', 'meta[property="og:updated_time"]', 'meta[itemprop="dateModified"]'),
+    author: authors.join(', '),
+    authors,
+    siteName:
+      getMetaContent(doc, 'meta[property="og:site_name"]', 'meta[name="application-name"]') ||
+      structured?.publisher || '',
+    language:
+      doc.documentElement.getAttribute('lang')?.trim() ||
+      getMetaContent(doc, 'meta[http-equiv="content-language"]') || locale,
+    keywords: collectKeywords(doc, structured),
+    schemaType: structured?.type || '',
+    product: structured?.product || null,
+    rating: structured?.product?.rating || structured?.rating || null,
+    structuredData: structured,
+  };
+}
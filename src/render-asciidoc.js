@@ -0,0 +1,255 @@
+/**
+ * Blog Content Extractor - AsciiDoc renderer
+ * Writes the document tree from converter.js as AsciiDoc (Asciidoctor
+ * syntax): unconstrained inline marks, delimited blocks for code, quotes
+ * and tables, inline footnotes.
+ */
+
+import { describeEmbed } from './embeds.js';
+
+// Built-in attributes for formatting marks: attributes are substituted
+// after inline formatting, so these never pair up into bold or code
+const MARK_ATTRS = { '*': '{asterisk}', '`': '{backtick}', '^': '{caret}', '~': '{tilde}', '+': '{plus}' };
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/**
+ * Escape inline formatting marks and attribute references in page text.
+ * `_` and `#` only pair at word boundaries, and have no attribute, so only
+ * those are passed through.
+ */
+function escapeAsciidoc(text) {
+  return text
+    .replace(/\{(?=\w[\w-]*\})/g, '\\{')
+    .replace(/[*`^~+]/g, m => MARK_ATTRS[m])
+    .replace(/[_#]/g, (m, i, s) => (WORD_CHAR.test(s[i - 1] || '') && WORD_CHAR.test(s[i + 1] || '') ? m : `pass:[${m}]`));
+}
+
+// Block syntax: section titles, list markers, block titles, comments, delimiters
+const LINE_START_SYNTAX = /^\s*(?:=+\s|[*.-]+\s|\d+\.\s|\.[^\s.]|\/\/|\|===|\[|<<|'''|\+$)/;
+
+/** Keep block syntax at the start of a line from being read as markup. */
+function escapeLineStart(text) {
+  return LINE_START_SYNTAX.test(text) ? text.replace(/^\s*/, '$&{empty}') : text;
+}
+
+/** Link or image target: spaces would end the macro. */
+const target = (url) => url.replace(/ /g, '%20').replace(/\[/g, '%5B');
+
+/** Text of a macro's [...] attribute list. */
+const macroText = (text) => text.replace(/\]/g, '\\]');
+
+/**
+ * Block image macro. Width and height are the second and third positional
+ * attributes, so a sized image quotes its alt text against commas.
+ */
+function imageMacro(image) {
+  const alt = image.width
+    ? `"${macroText(image.alt).replace(/"/g, '\\"')}",${image.width},${image.height}`
+    : macroText(image.alt);
+  return `image::${target(image.url)}[${alt}]`;
+}
+
+/** A delimiter longer than any line of `content` made of the same character. */
+function delimiter(char, content) {
+  const runs = content.split('\n').filter(line => new RegExp(`^\\${char}{4,}$`).test(line)).map(line => line.length);
+  return char.repeat(Math.max(4, ...runs.map(n => n + 1)));
+}
+
+function renderChildren(nodes, state) {
+  return nodes.map(node => renderNode(node, state)).join('');
+}
+
+const block = (text) => (text ? `\n\n${text}\n\n` : '');
+
+/** Wrap inline AsciiDoc in unconstrained marks, moving edge spaces outside. */
+function wrapInline(inner, open, close = open) {
+  const [, lead, core, trail] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!core) return lead || trail ? ' ' : '';
+  return `${lead ? ' ' : ''}${open}${core}${close}${trail ? ' ' : ''}`;
+}
+
+/** Inline literal: the passthrough form needs no escaping except "+`". */
+const literal = (text) => (text.includes('+`') ? `pass:[<code>${text.replace(/]/g, '\\]')}</code>]` : `\`+${text}+\``);
+
+function renderNode(node, state) {
+  const inner = () => renderChildren(node.children, state);
+
+  switch (node.type) {
+    case 'text': return escapeLineStart(escapeAsciidoc(node.value));
+
+    // Level 1 sections (==) for h1 and h2: the document title is the page title
+    case 'heading': {
+      const text = inner().replace(/\s*\n\s*/g, ' ').trim();
+      return text ? block(`${'='.repeat(Math.max(2, node.depth))} ${text.replace(/^\{empty\}/, '')}`) : '';
+    }
+    case 'paragraph': return block(inner().trim());
+    case 'break': return ' +\n';
+    case 'thematicBreak': return block("'''");
+
+    case 'strong': return wrapInline(inner(), '**');
+    case 'emphasis': return wrapInline(inner(), '__');
+    case 'underline': return wrapInline(inner(), '[.underline]##', '##');
+    case 'delete': return wrapInline(inner(), '[.line-through]##', '##');
+    case 'mark': return wrapInline(inner(), '##');
+    case 'superscript': return wrapInline(inner(), '^');
+    case 'subscript': return wrapInline(inner(), '~');
+    case 'inlineCode': return literal(node.value);
+    case 'kbd': return `kbd:[${macroText(node.value)}]`;
+    case 'abbr': {
+      const text = inner().trim();
+      return node.title ? `${text} (${escapeAsciidoc(node.title)})` : text;
+    }
+
+    case 'link': {
+      const text = inner().trim();
+      return `link:${target(node.url)}[${macroText(text)}]`;
+    }
+    case 'image': return block(imageMacro(node));
+    case 'figure': {
+      const image = imageMacro(node.image);
+      return block(node.caption ? `.${escapeAsciidoc(node.caption)}\n${image}` : image);
+    }
+    case 'embed': {
+      if (node.provider === 'youtube' || node.provider === 'vimeo') return block(`video::${node.id}[${node.provider}]`);
+      const { url, label } = describeEmbed(node);
+      return block(`link:${target(url)}[${macroText(node.title ? `${label}: ${node.title}` : label)}]`);
+    }
+    case 'media': {
+      const poster = node.poster ? `poster=${target(node.poster)}` : '';
+      return block(`${node.kind}::${target(node.sources[0].src)}[${poster}]`);
+    }
+
+    case 'list': return renderList(node, state);
+
+    case 'blockquote': {
+      const content = inner().trim();
+      if (!content) return '';
+      const fence = delimiter('_', content);
+      return block(`${fence}\n${content}\n${fence}`);
+    }
+
+    case 'code': {
+      const fence = delimiter('-', node.value);
+      const style = node.lang ? `[source,${node.lang}]\n` : '';
+      return block(`${style}${fence}\n${node.value}\n${fence}`);
+    }
+    case 'math':
+      state.used.add('stem');
+      return node.display ? block(`[stem]\n++++\n${node.tex}\n++++`) : `stem:[${macroText(node.tex)}]`;
+    case 'html': return node.display ? block(`++++\n${node.value}\n++++`) : `pass:[${macroText(node.value)}]`;
+
+    case 'table': return block(renderTable(node, state));
+
+    case 'definitionList': return block(inner().trim());
+    case 'definitionTerm': return `\n${inner().trim()}::\n`;
+    case 'definitionDescription': return `  ${inner().trim()}\n`;
+
+    case 'details': {
+      const content = inner().trim();
+      const title = node.summary ? `.${escapeAsciidoc(node.summary)}\n` : '';
+      return block(`${title}[%collapsible]\n====\n${content}\n====`);
+    }
+
+    case 'footnoteReference': {
+      // The note text goes with its first reference; later ones repeat the id
+      if (state.footnotesWritten.has(node.label)) return `footnote:fn${node.label}[]`;
+      state.footnotesWritten.add(node.label);
+      const note = state.notes.get(node.label);
+      const text = note ? renderChildren(note, state).replace(/\s+/g, ' ').trim() : '';
+      // Links in the note are converted before the footnote, so their brackets stay as they are
+      return `footnote:fn${node.label}[${text}]`;
+    }
+
+    default: return node.children ? inner() : '';
+  }
+}
+
+/**
+ * A list with the nesting depth in its markers (*, **, ... or ., .., ...).
+ * Blocks after an item's text are attached with "+" continuations; nested
+ * lists attach on their own.
+ */
+function renderList(list, state) {
+  const depth = (state.listDepth || 0) + 1;
+  const marker = (list.ordered ? '.' : '*').repeat(Math.min(depth, 5));
+  const attrs = [];
+  if (list.start !== null && list.start !== 1) attrs.push(`start=${list.start}`);
+  if (list.reversed) attrs.push('%reversed');
+
+  const nested = { ...state, listDepth: depth };
+  const items = list.children.map(item => {
+    // Inline nodes run together; each block is a chunk of its own
+    const chunks = [];
+    let inline = '';
+    const flush = () => {
+      if (inline.trim()) chunks.push({ text: inline.trim(), textual: true });
+      inline = '';
+    };
+    for (const child of item.children) {
+      const text = renderNode(child, nested);
+      if (!text.startsWith('\n')) { inline += text; continue; }
+      flush();
+      if (text.trim()) chunks.push({ text: text.trim(), textual: child.type === 'paragraph', list: child.type === 'list' });
+    }
+    flush();
+
+    // The item's own line takes text; an item opening with a block gets a placeholder
+    let text = `${marker} ${chunks[0]?.textual ? chunks.shift().text : '{empty}'}`;
+    for (const chunk of chunks) text += chunk.list ? `\n${chunk.text}` : `\n+\n${chunk.text}`;
+    return text;
+  });
+  const head = attrs.length ? `[${attrs.join(',')}]\n` : '';
+  return block(head + items.join('\n'));
+}
+
+/**
+ * A table with spans written as cell specifiers (2+| spans two columns,
+ * .2+| two rows). Cells holding blocks are AsciiDoc cells (a|); a table
+ * nested in one uses the ! separator.
+ */
+function renderTable(table, state) {
+  const sep = state.inTable ? '!' : '|';
+  const cellState = { ...state, inTable: true };
+  const width = Math.max(...table.rows.map(row => row.cells.reduce((n, cell) => n + cell.colspan, 0)));
+
+  const rows = table.rows.map(row => row.cells.map(cell => {
+    const content = renderChildren(cell.children, cellState).trim();
+    const spans =
+      (cell.colspan > 1 ? `${cell.colspan}` : '') +
+      (cell.rowspan > 1 ? `.${cell.rowspan}` : '');
+    const align = { left: '<', center: '^', right: '>' }[cell.align] || '';
+    const isBlock = /\n\s*\n/.test(content);
+    const spec = `${spans ? `${spans}+` : ''}${align}${isBlock ? 'a' : ''}`;
+    const text = isBlock ? content : content.replace(/\s*\n\s*/g, ' ');
+    return `${spec}${sep} ${text.replaceAll(sep, `\\${sep}`)}`;
+  }).join('\n'));
+
+  const header = table.rows[0].section === 'head' || table.rows[0].cells.every(cell => cell.header);
+  const attrs = [`cols="${width}*"`];
+  if (header) attrs.push('options="header"');
+  const caption = renderChildren(table.caption, state).trim();
+  return [
+    caption ? `.${caption}` : '',
+    `[${attrs.join(',')}]`,
+    `${sep}===`,
+    rows.join('\n\n'),
+    `${sep}===`,
+  ].filter(Boolean).join('\n');
+}
+
+/** Render a document tree as AsciiDoc (without a document header). */
+export function renderAsciidoc(doc, options = {}) {
+  const state = {
+    ...options,
+    notes: new Map(doc.footnotes.map(({ label, children }) => [label, children])),
+    footnotesWritten: new Set(),
+    used: new Set(),
+  };
+  const body = renderChildren(doc.children, state)
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  // STEM blocks only render when the document enables them
+  return state.used.has('stem') ? `:stem: latexmath\n\n${body}` : body;
+}
@@ -0,0 +1,165 @@
+/**
+ * Blog Content Extractor - HTML renderer
+ * Writes the document tree from converter.js as clean HTML: semantic tags
+ * only, no classes or styles from the page, for CMSes that take HTML.
+ */
+
+import { escapeAttr } from './url.js';
+import { renderEmbed } from './embeds.js';
+import { renderMedia } from './media.js';
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Newlines inside <pre> are held back while block spacing is tidied
+const PRE_NEWLINE = '\u0000';
+
+const TAGS = {
+  strong: 'strong', emphasis: 'em', underline: 'u', delete: 'del', mark: 'mark',
+  superscript: 'sup', subscript: 'sub', inlineCode: 'code', kbd: 'kbd',
+  blockquote: 'blockquote', definitionList: 'dl', definitionTerm: 'dt', definitionDescription: 'dd',
+};
+
+const BLOCKS = new Set(['blockquote', 'definitionList', 'definitionTerm', 'definitionDescription']);
+
+function renderChildren(nodes, state) {
+  return nodes.map(node => renderNode(node, state)).join('');
+}
+
+function renderNode(node, state) {
+  const inner = () => renderChildren(node.children, state);
+
+  switch (node.type) {
+    case 'text': return escapeHtml(node.value);
+
+    case 'heading': {
+      const text = inner().replace(/\s*\n\s*/g, ' ').trim();
+      return text ? `\n<h${node.depth}>${text}</h${node.depth}>\n` : '';
+    }
+    case 'paragraph': {
+      const text = inner().trim();
+      return text ? `\n<p>${text}</p>\n` : '';
+    }
+    case 'break': return '<br>';
+    case 'thematicBreak': return '\n<hr>\n';
+
+    case 'inlineCode':
+    case 'kbd': return `<${TAGS[node.type]}>${escapeHtml(node.value)}</${TAGS[node.type]}>`;
+    case 'abbr': {
+      const text = inner().trim();
+      return node.title ? `<abbr title="${escapeAttr(node.title)}">${text}</abbr>` : text;
+    }
+
+    case 'link': return `<a href="${escapeAttr(node.url)}">${inner().trim() || escapeHtml(node.url)}</a>`;
+    case 'image': {
+      const size = node.width ? ` width="${node.width}" height="${node.height}"` : '';
+      return `<img src="${escapeAttr(node.url)}" alt="${escapeAttr(node.alt)}"${size}>`;
+    }
+    case 'figure': {
+      const caption = node.caption ? `<figcaption>${escapeHtml(node.caption)}</figcaption>` : '';
+      return `\n<figure>${renderNode(node.image, state)}${caption}</figure>\n`;
+    }
+    case 'embed': return `\n${renderEmbed(node, 'html')}\n`;
+    case 'media': return `\n${renderMedia(node, 'html')}\n`;
+
+    case 'list': {
+      const tag = node.ordered ? 'ol' : 'ul';
+      const attrs = (node.start !== null && node.ordered ? ` start="${node.start}"` : '') + (node.reversed ? ' reversed' : '');
+      const items = node.children
+        .map(item => `<li${item.value !== null ? ` value="${item.value}"` : ''}>${renderChildren(item.children, state).trim()}</li>`)
+        .join('\n');
+      return node.children.length ? `\n<${tag}${attrs}>\n${items}\n</${tag}>\n` : '';
+    }
+
+    case 'code': {
+      const lang = node.lang ? ` class="language-${escapeAttr(node.lang)}"` : '';
+      return `\n<pre><code${lang}>${escapeHtml(node.value).replace(/\n/g, PRE_NEWLINE)}</code></pre>\n`;
+    }
+    case 'math': {
+      const tex = escapeHtml(node.tex);
+      return node.display ? `\n<div class="math display">\\[${tex}\\]</div>\n` : `<span class="math inline">\\(${tex}\\)</span>`;
+    }
+    case 'html': return node.display ? `\n${node.value}\n` : node.value;
+
+    case 'table': return `\n${tableHtml(node, state)}\n`;
+
+    case 'details': {
+      const summary = node.summary ? `\n<summary>${escapeHtml(node.summary)}</summary>` : '';
+      return `\n<details>${summary}\n${inner().trim()}\n</details>\n`;
+    }
+
+    case 'footnoteReference': {
+      // Only the first reference to a note carries the id its back link targets
+      const id = state.referenced.has(node.label) ? '' : ` id="fnref-${node.label}"`;
+      state.referenced.add(node.label);
+      return `<sup${id}><a href="#fn-${node.label}">${node.label}</a></sup>`;
+    }
+
+    default: {
+      const tag = TAGS[node.type];
+      if (!tag) return node.children ? inner() : '';
+      const content = BLOCKS.has(node.type) ? inner().trim() : inner();
+      if (!content.trim()) return '';
+      return BLOCKS.has(node.type) ? `\n<${tag}>${content}</${tag}>\n` : `<${tag}>${content}</${tag}>`;
+    }
+  }
+}
+
+function cellHtml(cell, state) {
+  const tag = cell.header ? 'th' : 'td';
+  const attrs =
+    (cell.colspan > 1 ? ` colspan="${cell.colspan}"` : '') +
+    (cell.rowspan > 1 ? ` rowspan="${cell.rowspan}"` : '') +
+    (cell.align ? ` align="${cell.align}"` : '');
+  return `<${tag}${attrs}>${renderChildren(cell.children, state).trim()}</${tag}>`;
+}
+
+/** A table with one line per row, grouped in <thead>/<tbody>/<tfoot>. */
+function tableHtml(table, state) {
+  const caption = renderChildren(table.caption, state).trim();
+  let html = '<table>';
+  if (caption) html += `\n<caption>${caption}</caption>`;
+  let section = null;
+  for (const row of table.rows) {
+    if (row.section !== section) {
+      if (section) html += `\n</t${section}>`;
+      section = row.section;
+      html += `\n<t${section}>`;
+    }
+    html += `\n<tr>${row.cells.map(cell => cellHtml(cell, state)).join('')}</tr>`;
+  }
+  if (section) html += `\n</t${section}>`;
+  return html + '\n</table>';
+}
+
+/** One line break between blocks, none around them, code untouched. */
+function tidyHtml(html) {
+  return html
+    .replace(/[ \t]+$/gm, '')
+    .replace(/^[ \t]+/gm, '')
+    .replace(/\n{2,}/g, '\n')
+    .trim()
+    .replaceAll(PRE_NEWLINE, '\n');
+}
+
+const createState = (options) => ({ ...options, referenced: new Set() });
+
+/**
+ * A single block node as HTML; the Markdown renderer uses it for tables and
+ * definition lists its flavor can't express.
+ */
+export function renderHtmlBlock(node, options = {}) {
+  return tidyHtml(renderNode(node, createState(options)));
+}
+
+/** Render a document tree as an HTML fragment, footnotes in a closing <section>. */
+export function renderHtml(doc, options = {}) {
+  const state = createState(options);
+  let html = renderChildren(doc.children, state);
+  if (doc.footnotes.length) {
+    const notes = doc.footnotes
+      .map(({ label, children }) => `<li id="fn-${label}">${renderChildren(children, state).trim()} <a href="#fnref-${label}">↩</a></li>`)
+      .join('\n');
+    html += `\n<section class="footnotes">\n<ol>\n${notes}\n</ol>\n</section>\n`;
+  }
+  return tidyHtml(html);
+}
@@ -0,0 +1,569 @@
+/**
+ * Blog Content Extractor - Markdown renderer
+ * Writes the document tree from converter.js as Markdown. A flavor
+ * (flavors.js) decides how constructs outside core CommonMark are written,
+ * which template tags in the page are kept from running and whether raw
+ * HTML is written as JSX.
+ */
+
+import { safeMarkdownUrl, escapeAttr } from './url.js';
+import { fenceCode } from './code-blocks.js';
+import { renderEmbed } from './embeds.js';
+import { renderMedia } from './media.js';
+import { renderHtmlBlock } from './render-html.js';
+import { MARKDOWN_FLAVORS } from './flavors.js';
+import { isBlock } from './tree.js';
+
+export const LINK_STYLES = ['inline', 'referenced'];
+
+// ---- Escaping ----
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/**
+ * Escape characters that Markdown would read as syntax in page text.
+ * `_` is left alone inside words (CommonMark never treats intraword
+ * underscores as emphasis), `<` and `&` only where they could start an
+ * HTML tag, autolink or entity.
+ */
+export function escapeMarkdown(text) {
+  return text
+    .replace(/[\\`*[\]~]/g, '\\$&')
+    .replace(/_/g, (m, i, s) => (WORD_CHAR.test(s[i - 1] || '') && WORD_CHAR.test(s[i + 1] || '') ? m : '\\_'))
+    .replace(/<(?=[A-Za-z/!?])/g, '\\<')
+    .replace(/&(?=#?\w+;)/g, '\\&');
+}
+
+/** escapeMarkdown() for the flavor: MDX also reads every `<` as JSX and braces as expressions. */
+function escapeText(text, state) {
+  if (!state.flavor.mdx) return escapeMarkdown(text);
+  return text.split(/([<{}])/).map((part, i) => (i % 2 ? `\\${part}` : escapeMarkdown(part))).join('');
+}
+
+/**
+ * Escape block syntax at the start of a text node, which may end up at the
+ * start of a line: headings (and #hashtags), quotes, list markers, setext
+ * underlines.
+ */
+function escapeLineStart(text) {
+  return text
+    .replace(/^(\s*)([#>+])/, '$1\\$2')
+    .replace(/^(\s*)(-+|=+)(?=\s|$)/, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])(?=\s|$)/, '$1\\$2');
+}
+
+/**
+ * Undo escapeLineStart() where the text follows other syntax on the same
+ * line ("## 1. Intro", a table cell) and can't start a block.
+ */
+function unescapeLineStart(markdown) {
+  return markdown.replace(/^(\d+)\\([.)])/, '$1$2').replace(/^\\([#>+]|-+|=+)/, '$1');
+}
+
+/**
+ * Wrap inline Markdown in delimiters. Edge spaces are moved outside:
+ * "** bold **" is not emphasis in CommonMark.
+ */
+function wrapInline(inner, open, close = open) {
+  const [, lead, core, trail] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!core) return lead || trail ? ' ' : '';
+  return `${lead ? ' ' : ''}${open}${core}${close}${trail ? ' ' : ''}`;
+}
+
+const PUNCTUATION = /[\p{P}\p{S}]/u;
+const charKind = (ch) => (!ch || /\s/.test(ch) ? 'space' : PUNCTUATION.test(ch) ? 'punctuation' : 'word');
+
+// CommonMark flanking rules: whether a delimiter run between `before` and `after` can open or close
+const canOpen = (before, after) => charKind(after) === 'word' || (charKind(after) === 'punctuation' && charKind(before) !== 'word');
+const canClose = (before, after) => charKind(before) === 'word' || (charKind(before) === 'punctuation' && charKind(after) !== 'word');
+
+/**
+ * wrapInline() with a delimiter run (**, *, ~~, ==), which CommonMark only
+ * reads as emphasis when it is flanking: in **"quoted"**text the closing
+ * run sits between punctuation and a letter. Such spans are written as the
+ * HTML `tag` instead, as is a span right after another delimited span,
+ * whose runs would run together (*a***b**). `before` and `after` are the
+ * characters around the span, '' for none.
+ */
+function wrapDelimiters(inner, delimiter, tag, { before, after, afterRun }) {
+  if (afterRun) return wrapInline(inner, `<${tag}>`, `</${tag}>`);
+  const chars = [...inner.trim()];
+  const opens = canOpen(/^\s/.test(inner) ? ' ' : before, chars[0]);
+  const closes = canClose(chars.at(-1), /\s$/.test(inner) ? ' ' : after);
+  return opens && closes ? wrapInline(inner, delimiter) : wrapInline(inner, `<${tag}>`, `</${tag}>`);
+}
+
+/** Inline code with a backtick fence longer than any run inside the text. */
+function codeSpan(text) {
+  if (!text) return '';
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const pad = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${pad}${text}${pad}${fence}`;
+}
+
+// ---- Templates and raw HTML ----
+
+// Hugo shortcode calls: {{< name >}} and {{% name %}}
+const HUGO_SHORTCODE = /\{\{([<%])([\s\S]*?)([>%])\}\}/g;
+const LIQUID_TAG = /\{[{%]/;
+const LIQUID_ENDRAW = /\{%-?\s*endraw\s*-?%\}/g;
+
+/**
+ * Keep template tags in page text and code from running when the blog
+ * engine builds the post. Liquid goes in a raw block; Hugo shortcodes
+ * become shortcode comments, which Hugo prints as the call itself.
+ */
+function protectTemplates(markdown, state) {
+  switch (state.flavor.templates) {
+    case 'liquid': {
+      if (!LIQUID_TAG.test(markdown)) return markdown;
+      // A raw block can't hold {% endraw %}: close it, print the tag as a string, reopen
+      const raw = markdown.replace(LIQUID_ENDRAW, "{% endraw %}{{ '$&' }}{% raw %}");
+      const sep = markdown.includes('\n') ? '\n' : '';
+      return `{% raw %}${sep}${raw}${sep}{% endraw %}`;
+    }
+    case 'hugo': return markdown.replace(HUGO_SHORTCODE, '{{$1/*$2*/$3}}');
+    default: return markdown;
+  }
+}
+
+const VOID_TAG = /^<(area|br|col|embed|hr|img|input|source|track|wbr)\b([^>]*?)\s*\/?>$/i;
+
+/**
+ * Raw HTML as MDX reads it, i.e. as JSX: void elements self-closed,
+ * comments as expression comments, braces in text as character references.
+ */
+function toJsx(html) {
+  return html.split(/(<!--[\s\S]*?-->|<[^>]*>)/).map((part, i) => {
+    if (i % 2 === 0) return part.replace(/[{}]/g, ch => (ch === '{' ? '&#123;' : '&#125;'));
+    if (part.startsWith('<!--')) return `{/*${part.slice(4, -3).replace(/\*\//g, '* /')}*/}`;
+    return part.replace(VOID_TAG, '<$1$2 />');
+  }).join('');
+}
+
+const rawHtml = (html, state) => (state.flavor.mdx ? toJsx(html) : html);
+
+// ---- Code blocks ----
+
+// Until the end a code block is one placeholder line, so quoting, indenting
+// and tidying the Markdown around it can't change what is inside the fence
+const CODE_PLACEHOLDER = /^(.*)\0(\d+)\0$/gm;
+
+function keepCode(block, state) {
+  state.code.push(block);
+  return `\0${state.code.length - 1}\0`;
+}
+
+/** Put the code blocks back, every line behind the quote markers or indentation of its placeholder. */
+function restoreCode(markdown, state) {
+  return markdown.replace(CODE_PLACEHOLDER, (_, prefix, n) => state.code[n]
+    .split('\n')
+    .map(line => (line ? prefix + line : prefix.trimEnd()))
+    .join('\n'));
+}
+
+// ---- Nodes ----
+
+function renderChildren(nodes, state) {
+  let result = '';
+  nodes.forEach((node, i) => { result += renderNode(node, state, nodes, i); });
+  return result;
+}
+
+// Inline nodes that may be written between delimiter runs
+const DELIMITED_TYPES = new Set(['strong', 'emphasis', 'delete', 'mark']);
+
+/**
+ * The characters just before and after siblings[index] once rendered. Text
+ * gives its own; other inline nodes start and end with syntax, taken as
+ * punctuation; block nodes and the edges of the parent give ''.
+ * `afterRun` is set when the node before may end in a delimiter run.
+ */
+function neighbours(siblings, index) {
+  const edge = (node, last) => {
+    if (!node || isBlock(node)) return '';
+    if (node.type === 'break') return '\n';
+    if (node.type !== 'text') return '.';
+    const chars = [...node.value];
+    return (last ? chars.at(-1) : chars[0]) || '';
+  };
+  return {
+    before: edge(siblings?.[index - 1], true),
+    after: edge(siblings?.[index + 1], false),
+    afterRun: DELIMITED_TYPES.has(siblings?.[index - 1]?.type),
+  };
+}
+
+/** True if `node` is written starting with "[" (links and native footnote references). */
+function startsWithBracket(node, state) {
+  return node?.type === 'link' || (node?.type === 'footnoteReference' && state.flavor.footnotes === 'native');
+}
+
+/** True if only whitespace separates a list from a previous Markdown list of the same type. */
+function followsSameList(siblings, index) {
+  let i = index - 1;
+  while (i >= 0 && siblings[i].type === 'text' && !siblings[i].value.trim()) i--;
+  return siblings[i]?.type === 'list' && siblings[i].ordered === siblings[index].ordered && !needsHtmlNumbering(siblings[i]);
+}
+
+function renderNode(node, state, siblings, index) {
+  const { flavor } = state;
+  const inner = () => renderChildren(node.children, state);
+
+  switch (node.type) {
+    case 'text': {
+      let text = escapeLineStart(escapeText(node.value, state));
+      // "!" followed by a link would make it an image
+      if (startsWithBracket(siblings?.[index + 1], state)) text = text.replace(/!$/, '\\!');
+      return protectTemplates(text, state);
+    }
+
+    // ---- Headings ----
+    case 'heading': {
+      // A heading is a single line; <br> inside it becomes a space
+      const text = unescapeLineStart(inner().replace(/\s*\n\s*/g, ' ').trim());
+      return text ? `\n\n${'#'.repeat(node.depth)} ${text}\n\n` : '';
+    }
+
+    // ---- Text formatting ----
+    case 'strong': return wrapDelimiters(inner(), '**', 'strong', neighbours(siblings, index));
+    case 'emphasis': return wrapDelimiters(inner(), '*', 'em', neighbours(siblings, index));
+    case 'underline': return flavor.underline === 'plain' ? inner() : wrapInline(inner(), '<u>', '</u>');
+    case 'delete':
+      return flavor.strikethrough === '~~' ? wrapDelimiters(inner(), '~~', 'del', neighbours(siblings, index)) : wrapInline(inner(), '<del>', '</del>');
+    case 'mark':
+      if (flavor.highlight === 'plain') return inner();
+      return flavor.highlight === '==' ? wrapDelimiters(inner(), '==', 'mark', neighbours(siblings, index)) : wrapInline(inner(), '<mark>', '</mark>');
+    case 'superscript': return wrapInline(inner(), '<sup>', '</sup>');
+    case 'subscript': return wrapInline(inner(), '<sub>', '</sub>');
+    case 'abbr': {
+      const text = inner().trim();
+      return node.title ? `${text} (${escapeText(node.title, state)})` : text;
+    }
+    case 'inlineCode':
+    case 'kbd': return protectTemplates(codeSpan(node.value), state);
+
+    // ---- Paragraphs / Blocks ----
+    case 'paragraph': {
+      const text = inner().trim();
+      return text ? `\n\n${text}\n\n` : '';
+    }
+    case 'break': return '\n';
+    case 'thematicBreak': return '\n\n---\n\n';
+
+    // ---- Links and images ----
+    case 'link': {
+      const safe = safeMarkdownUrl(node.url);
+      const text = inner().trim() || escapeText(node.url, state);
+      return state.linkStyle === 'referenced' ? `[${text}][${linkRef(safe, state)}]` : `[${text}](${safe})`;
+    }
+    case 'image': {
+      const alt = escapeText(node.alt, state);
+      const url = safeMarkdownUrl(node.url);
+      if (!node.width || !flavor.imageSize) return `\n\n![${alt}](${url})\n\n`;
+      return flavor.imageSize === 'pipe'
+        ? `\n\n![${alt}|${node.width}x${node.height}](${url})\n\n`
+        : `\n\n![${alt}](${url}){: width="${node.width}" height="${node.height}"}\n\n`;
+    }
+    case 'figure': {
+      const image = renderNode(node.image, state);
+      return node.caption ? `${image}*${escapeText(node.caption, state)}*\n\n` : image;
+    }
+    case 'embed': {
+      const embed = renderEmbed(node, state.embedMode, flavor.shortcodes);
+      return `\n\n${state.embedMode === 'html' ? rawHtml(embed, state) : embed}\n\n`;
+    }
+    case 'media': {
+      const media = renderMedia(node, state.mediaMode, { withPoster: state.includeImages });
+      return `\n\n${state.mediaMode === 'link' ? media : rawHtml(media, state)}\n\n`;
+    }
+
+    // ---- Lists ----
+    case 'list': {
+      if (needsHtmlNumbering(node)) {
+        // Blank lines would end the HTML block
+        const list = { ...node, start: node.start ?? (node.reversed ? node.children.length : null) };
+        return `\n\n${rawHtml(renderHtmlBlock(list, state), state).replace(/\n(?=\n)/g, '&#10;')}\n\n`;
+      }
+      const items = renderListItems(node, state);
+      if (!items) return '';
+      // Back-to-back lists of the same type would merge into one list
+      return siblings && followsSameList(siblings, index) ? `\n\n${rawHtml('<!-- -->', state)}\n\n${items}\n\n` : `\n\n${items}\n\n`;
+    }
+    case 'listItem': return inner();
+
+    // ---- Blockquote ----
+    case 'blockquote': return quote(renderBlocks(node.children, state).map(block => block.text));
+
+    // ---- Code and math ----
+    case 'code': return `\n\n${keepCode(protectTemplates(fenceCode(node.value, node.lang).trim(), state), state)}\n\n`;
+    case 'math': return node.display ? `\n\n$$\n${node.tex}\n$$\n\n` : `$${node.tex}$`;
+    case 'html': {
+      const html = protectTemplates(rawHtml(node.value, state), state);
+      return node.display ? `\n\n${html}\n\n` : html;
+    }
+
+    // ---- Tables ----
+    case 'table': return renderTable(node, state);
+
+    // ---- Definition Lists ----
+    case 'definitionList': {
+      if (flavor.definitions === 'html') return `\n\n${rawHtml(renderHtmlBlock(node, state), state)}\n\n`;
+      // Whitespace between the page's <dt> and <dd> would split up the list
+      const items = node.children.filter(child => child.type !== 'text' || child.value.trim());
+      return `\n\n${renderChildren(items, state)}\n\n`;
+    }
+    case 'definitionTerm': {
+      const term = inner().trim();
+      if (flavor.definitions === 'bold') return `\n\n**${term}**\n\n`;
+      // Terms sharing a description go on consecutive lines
+      return siblings?.[index - 1]?.type === 'definitionTerm' ? `${term}\n` : `\n\n${term}\n`;
+    }
+    case 'definitionDescription': {
+      const text = inner().trim();
+      return flavor.definitions === 'bold' ? `\n\n${text}\n\n` : `: ${indentContinuation(text, 2)}\n`;
+    }
+
+    // ---- Details/Summary ----
+    case 'details': {
+      const title = escapeText(node.summary, state) || 'Details';
+      if (flavor.details === 'callout') {
+        return quote([`[!note]- ${title}`, ...renderBlocks(node.children, state).map(block => block.text)]);
+      }
+      const content = inner().trim();
+      switch (flavor.details) {
+        case 'html':
+        case 'kramdown': {
+          // Blank lines around the content let it be read as Markdown
+          const open = flavor.details === 'kramdown' ? '<details markdown="1">' : '<details>';
+          const summary = node.summary ? `\n<summary>${escapeAttr(node.summary)}</summary>` : '';
+          return `\n\n${rawHtml(open + summary, state)}\n\n${content}\n\n</details>\n\n`;
+        }
+        default: return `\n\n**${title}**\n\n${content}\n\n`;
+      }
+    }
+
+    case 'footnoteReference':
+      switch (flavor.footnotes) {
+        case 'native': return `[^${node.label}]`;
+        case 'text': return `\\[${node.label}\\]`;
+        default: return `<sup>${node.label}</sup>`;
+      }
+
+    default: return node.children ? inner() : '';
+  }
+}
+
+/**
+ * The blocks of a list item or quote, rendered and trimmed one at a time:
+ * every block node is one, and so is each run of inline nodes between
+ * them. Returns { text, node } pairs, `node` null for an inline run.
+ */
+function renderBlocks(nodes, state) {
+  const blocks = [];
+  const add = (text, node) => {
+    text = text.trim();
+    if (text) blocks.push({ text, node });
+  };
+  let start = 0;
+  nodes.forEach((node, i) => {
+    if (!isBlock(node)) return;
+    add(renderChildren(nodes.slice(start, i), state), null);
+    add(renderNode(node, state, nodes, i), node);
+    start = i + 1;
+  });
+  add(renderChildren(nodes.slice(start), state), null);
+  return blocks;
+}
+
+/** Blocks as a quote: a blank line between them and every line prefixed with "> ". */
+function quote(blocks) {
+  if (!blocks.length) return '';
+  return '\n\n' + blocks.join('\n\n').split('\n').map(l => (l ? `> ${l}` : '>')).join('\n') + '\n\n';
+}
+
+/** Indent every non-blank line but the first, so it continues a list item. */
+function indentContinuation(markdown, width) {
+  const pad = ' '.repeat(width);
+  return markdown.split('\n').map((line, i) => (i === 0 || !line ? line : pad + line)).join('\n');
+}
+
+/**
+ * Render list items with their full block content. Continuation lines are
+ * indented to the width of the item's marker, so paragraphs, images, code,
+ * quotes and nested lists stay inside the item. An item with more than one
+ * block besides lists and code (which may follow a line of text directly)
+ * is loose: blank lines between its blocks. Ordered lists
+ * start at `start` or the first item's value (see needsHtmlNumbering()).
+ */
+function renderListItems(list, state) {
+  const items = list.children;
+  let counter = list.start ?? 1;
+
+  const rendered = [];
+  for (const item of items) {
+    if (list.ordered && item.value !== null) counter = item.value;
+    // A list marker has one to nine digits
+    const marker = list.ordered ? `${Math.min(Math.max(counter, 0), MAX_LIST_NUMBER)}. ` : '- ';
+    counter++;
+
+    const blocks = renderBlocks(item.children, state);
+    const loose = blocks.filter(({ node }) => node?.type !== 'list' && node?.type !== 'code').length > 1;
+    const body = indentContinuation(blocks.map(block => block.text).join(loose ? '\n\n' : '\n'), marker.length);
+    rendered.push({ text: marker + body, loose });
+  }
+
+  return rendered
+    .map((item, i) => item.text + (i < rendered.length - 1 && item.loose ? '\n' : ''))
+    .join('\n');
+}
+
+const MAX_LIST_NUMBER = 999999999;
+
+/**
+ * True if Markdown can't number an ordered list as the page does: it only
+ * reads the first number and counts up from there, so reversed lists and
+ * items with a value out of sequence are written as HTML.
+ */
+function needsHtmlNumbering(list) {
+  if (!list.ordered) return false;
+  if (list.reversed) return true;
+  let counter = list.start ?? 1;
+  return list.children.some((item, i) => {
+    if (item.value !== null && i > 0 && item.value !== counter) return true;
+    counter = (item.value ?? counter) + 1;
+    return false;
+  });
+}
+
+/**
+ * Lay table rows out on a grid, so a cell spanning columns or rows occupies
+ * every slot it covers. Each slot holds { cell, origin } where origin is
+ * false for the covered slots.
+ */
+export function buildTableGrid(rows) {
+  const grid = [];
+  rows.forEach((row, r) => {
+    grid[r] ??= [];
+    let c = 0;
+    for (const cell of row.cells) {
+      while (grid[r][c]) c++;
+      for (let dr = 0; dr < cell.rowspan && r + dr < rows.length; dr++) {
+        grid[r + dr] ??= [];
+        for (let dc = 0; dc < cell.colspan; dc++) {
+          grid[r + dr][c + dc] = { cell, origin: dr === 0 && dc === 0 };
+        }
+      }
+      c += cell.colspan;
+    }
+  });
+  return grid;
+}
+
+/** One cell as a single GFM line: line breaks, paragraphs and list items become <br>. */
+function renderTableCell(cell, state) {
+  return unescapeLineStart(restoreCode(renderChildren(cell.children, state), state).trim())
+    .replace(/[ \t]*\n\s*/g, '\n')
+    .replace(/\|/g, '\\|')
+    .replace(/\n/g, rawHtml('<br>', state));
+}
+
+/**
+ * A GFM pipe table, or HTML when the flavor has no tables or the table has
+ * no pipe-table equivalent. Blank lines would end the HTML block, so the
+ * ones inside code are written as entities.
+ */
+function renderTable(table, state) {
+  if (table.fallback || state.flavor.tables === 'html') {
+    return `\n\n${rawHtml(renderHtmlBlock(table, state), state).replace(/\n(?=\n)/g, '&#10;')}\n\n`;
+  }
+
+  const grid = buildTableGrid(table.rows);
+  const width = Math.max(...grid.map(row => row.length));
+  const rows = grid.map(row => {
+    const cells = [];
+    for (let c = 0; c < width; c++) {
+      const slot = row[c];
+      cells.push(slot?.origin ? renderTableCell(slot.cell, state) : '');
+    }
+    return cells;
+  });
+
+  // GFM needs a header row: use the first row even when it is plain <td>s.
+  // Column alignment comes from the header cell, else the first body cell.
+  const align = [];
+  for (let c = 0; c < width; c++) {
+    const [head, first] = [grid[0][c]?.cell, grid[1]?.[c]?.cell];
+    align.push(head?.align || first?.align || '');
+  }
+  const separator = align.map(a => (a === 'center' ? ':---:' : a === 'right' ? '---:' : a === 'left' ? ':---' : '---'));
+
+  const caption = renderChildren(table.caption, state).trim();
+  let result = '\n\n';
+  if (caption) result += `*${caption}*\n\n`;
+  result += '| ' + rows[0].join(' | ') + ' |\n';
+  result += '| ' + separator.join(' | ') + ' |\n';
+  for (const row of rows.slice(1)) {
+    result += '| ' + row.join(' | ') + ' |\n';
+  }
+  result += '\n\n';
+  return result;
+}
+
+// ---- Footnotes and reference links ----
+
+/** Number of a link in the reference list; the same URL keeps its number. */
+function linkRef(url, state) {
+  if (!state.linkRefs.has(url)) state.linkRefs.set(url, state.linkRefs.size + 1);
+  return state.linkRefs.get(url);
+}
+
+/** Footnote definitions and the link reference list that go after the content. */
+function renderEndNotes(doc, state) {
+  let result = '';
+  for (const { label, children } of doc.footnotes) {
+    const note = tidyMarkdown(renderChildren(children, state));
+    if (!note) continue;
+    switch (state.flavor.footnotes) {
+      case 'native':
+        result += `\n\n[^${label}]: ${note.split('\n').map((line, i) => (i && line ? `    ${line}` : line)).join('\n')}`;
+        break;
+      case 'text': result += `\n\n\\[${label}\\] ${note}`; break;
+      default: result += `\n\n<sup>${label}</sup> ${note}`;
+    }
+  }
+  if (result && state.flavor.footnotes !== 'native') result = '\n\n---' + result;
+  if (state.linkRefs.size) {
+    result += '\n\n' + [...state.linkRefs].map(([url, n]) => `[${n}]: ${url}`).join('\n');
+  }
+  return result;
+}
+
+/** Remove excessive blank lines, trailing spaces, whitespace-only lines. */
+export function tidyMarkdown(markdown) {
+  return markdown
+    .replace(/\n{4,}/g, '\n\n\n')  // max 3 consecutive newlines
+    .replace(/[ \t]+$/gm, '')       // trailing spaces
+    .replace(/^\s+$/gm, '')         // lines with only whitespace
+    .trim();
+}
+
+/**
+ * Render a document tree as Markdown. Options: `flavor` (a MARKDOWN_FLAVORS
+ * key), `linkStyle`, `embedMode`, `mediaMode` and `includeImages` (video
+ * posters in link mode).
+ */
+export function renderMarkdown(doc, options = {}) {
+  const state = {
+    ...options,
+    flavor: MARKDOWN_FLAVORS[options.flavor] || MARKDOWN_FLAVORS.gfm,
+    includeImages: options.includeImages ?? true,
+    linkRefs: new Map(),
+    code: [],
+  };
+  // Notes are rendered after the content, so links inside them are numbered last
+  // Inline runs straight under the root are paragraphs too, trimmed like them
+  const body = renderBlocks(doc.children, state).map(block => `\n\n${block.text}\n\n`).join('');
+  return restoreCode(tidyMarkdown(body + renderEndNotes(doc, state)), state);
+}
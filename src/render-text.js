@@ -0,0 +1,146 @@
+/**
+ * Blog Content Extractor - Plain text renderer
+ * Writes the document tree from converter.js as plain text for newsletter
+ * tools: no markup, links as "text (url)", tables as aligned columns.
+ */
+
+import { describeEmbed } from './embeds.js';
+import { buildTableGrid } from './render-markdown.js';
+
+function renderChildren(nodes, state) {
+  return nodes.map(node => renderNode(node, state)).join('');
+}
+
+const block = (text) => (text ? `\n\n${text}\n\n` : '');
+
+/** Indent every non-blank line but the first by `width` spaces. */
+function indentContinuation(text, width) {
+  const pad = ' '.repeat(width);
+  return text.split('\n').map((line, i) => (i === 0 || !line ? line : pad + line)).join('\n');
+}
+
+function renderNode(node, state) {
+  const inner = () => renderChildren(node.children, state);
+
+  switch (node.type) {
+    case 'text': return node.value;
+
+    case 'heading': {
+      const text = inner().replace(/\s*\n\s*/g, ' ').trim();
+      if (!text || node.depth > 2) return block(text);
+      // Setext-style underline for the top two levels
+      return block(`${text}\n${(node.depth === 1 ? '=' : '-').repeat([...text].length)}`);
+    }
+    case 'paragraph': return block(inner().trim());
+    case 'break': return '\n';
+    case 'thematicBreak': return block('* * *');
+
+    case 'inlineCode':
+    case 'kbd': return node.value;
+    case 'abbr': {
+      const text = inner().trim();
+      return node.title ? `${text} (${node.title})` : text;
+    }
+
+    case 'link': {
+      const text = inner().trim();
+      return !text || text === node.url ? node.url : `${text} (${node.url})`;
+    }
+    case 'image': {
+      const line = `[Image: ${node.alt}]`;
+      return block(node.url.startsWith('data:') ? line : `${line} ${node.url}`);
+    }
+    case 'figure': return renderNode(node.image, state) + block(node.caption);
+    case 'embed': {
+      const { url, label } = describeEmbed(node);
+      return block(`${node.title ? `${label}: ${node.title}` : label} ${url}`);
+    }
+    case 'media': {
+      const label = node.kind === 'video' ? 'Video' : 'Audio';
+      return block(`${node.title ? `${label}: ${node.title}` : label} ${node.sources[0].src}`);
+    }
+
+    case 'list': {
+      let counter = node.start ?? (node.reversed ? node.children.length : 1);
+      const items = node.children.map(item => {
+        if (node.ordered && item.value !== null) counter = item.value;
+        const marker = node.ordered ? `${counter}. ` : '- ';
+        counter += node.reversed ? -1 : 1;
+        const body = renderChildren(item.children, state).trim().replace(/\n\s*\n/g, '\n');
+        return marker + indentContinuation(body, marker.length);
+      });
+      return block(items.join('\n'));
+    }
+
+    case 'blockquote': {
+      const text = inner().trim();
+      return block(text && text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+    }
+
+    case 'code': return block(node.value.split('\n').map(line => (line ? `    ${line}` : '')).join('\n'));
+    case 'math': return node.display ? block(node.tex) : node.tex;
+    case 'html': {
+      const text = node.value.replace(/<[^>]*>/g, '').trim();
+      return node.display ? block(text) : text;
+    }
+
+    case 'table': return block(renderTable(node, state));
+
+    case 'definitionTerm': return `\n${inner().trim()}\n`;
+    case 'definitionDescription': return `    ${inner().trim()}\n`;
+
+    case 'details': return block(node.summary) + block(inner().trim());
+
+    case 'footnoteReference': return `[${node.label}]`;
+
+    default: return node.children ? inner() : '';
+  }
+}
+
+/**
+ * Columns padded to their widest cell, a dashed rule under the first row.
+ * Cells spanning columns don't widen them; a table inside a cell is run
+ * together on one line.
+ */
+function renderTable(table, state) {
+  const cellState = { ...state, inCell: true };
+  const cellText = (cell) => renderChildren(cell.children, cellState).replace(/\s+/g, ' ').trim();
+  if (state.inCell) {
+    return table.rows.map(row => row.cells.map(cellText).filter(Boolean).join(' ')).join('; ');
+  }
+
+  const grid = buildTableGrid(table.rows);
+  const width = Math.max(...grid.map(row => row.length));
+  const rows = grid.map(row => {
+    const cells = [];
+    for (let c = 0; c < width; c++) {
+      const slot = row[c];
+      cells.push(slot?.origin ? cellText(slot.cell) : '');
+    }
+    return cells;
+  });
+  const widths = [];
+  for (let c = 0; c < width; c++) {
+    widths.push(Math.max(0, ...rows.map((row, r) => (grid[r][c]?.cell.colspan > 1 ? 0 : [...row[c]].length))));
+  }
+  const line = (cells) => cells.map((cell, c) => cell + ' '.repeat(Math.max(0, widths[c] - [...cell].length))).join('  ').trimEnd();
+
+  const lines = rows.map(line);
+  lines.splice(1, 0, widths.map(w => '-'.repeat(w)).join('  '));
+  const caption = renderChildren(table.caption, state).trim();
+  return (caption ? `${caption}\n\n` : '') + lines.join('\n');
+}
+
+/** Render a document tree as plain text, footnotes numbered after the content. */
+export function renderText(doc, options = {}) {
+  const state = { ...options };
+  let text = renderChildren(doc.children, state);
+  const notes = doc.footnotes
+    .map(({ label, children }) => `[${label}] ${renderChildren(children, state).trim().replace(/\n\s*\n/g, '\n')}`)
+    .filter(note => !/^\[\d+\] $/.test(note));
+  if (notes.length) text += `\n\n---\n\n${notes.join('\n')}`;
+  return text
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,155 @@
+/**
+ * Blog Content Extractor - Site Rules
+ * Per-site extraction rules keyed by hostname or URL pattern. Shared by the
+ * popup (editor, JSON import/export) and the extraction pipeline (matching
+ * and applying the rule).
+ *
+ * A rule looks like:
+ *   {
+ *     id, pattern,            // "example.com", "*.example.com", "example.com/blog/*" or "/regex/i"
+ *     contentSelector,        // container holding the article (skips auto-detection)
+ *     titleSelector,          // element holding the post title
+ *     removeSelectors: [],    // blocks to drop before conversion
+ *     replacements: [{ pattern, flags, replace }],  // regex edits on the final Markdown
+ *   }
+ */
+
+const EXPORT_VERSION = 1;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Return true if `selector` is a valid CSS selector (checked against `doc`). */
+export function isValidSelector(selector, doc = globalThis.document) {
+  try {
+    doc.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Match a rule pattern against a page URL. */
+export function matchesUrl(pattern, url) {
+  pattern = (pattern || '').trim();
+  if (!pattern) return false;
+
+  let parsed;
+  try { parsed = new URL(url); } catch { return false; }
+
+  // /regex/flags → tested against the full URL
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    try { return new RegExp(regex[1], regex[2]).test(url); } catch { return false; }
+  }
+
+  // host/path glob → tested against host + path + query, without protocol
+  if (pattern.includes('/')) {
+    const glob = pattern.replace(/^[a-z]+:\/\//i, '');
+    const re = new RegExp('^' + glob.split('*').map(escapeRegExp).join('.*') + '$', 'i');
+    const target = parsed.host + parsed.pathname + parsed.search;
+    return re.test(target) || re.test(parsed.host + parsed.pathname);
+  }
+
+  // Bare hostname → matches the host and its subdomains
+  const host = parsed.hostname.toLowerCase();
+  const wanted = pattern.toLowerCase().replace(/^\*\./, '');
+  return host === wanted || host.endsWith('.' + wanted);
+}
+
+/** First rule (in list order) whose pattern matches the URL, or null. */
+export function findRule(rules, url) {
+  return (rules || []).find(rule => matchesUrl(rule.pattern, url)) || null;
+}
+
+/**
+ * Parse the editor's replacement lines. Each line is `find => replace`,
+ * where `find` is either /regex/flags or literal text. "\n" in the
+ * replacement inserts a line break.
+ */
+export function parseReplacements(text) {
+  const replacements = [];
+  for (const line of String(text).split('\n')) {
+    const idx = line.indexOf('=>');
+    if (idx === -1) continue;
+    const find = line.slice(0, idx).trim();
+    const replace = line.slice(idx + 2).trim().replace(/\\n/g, '\n');
+    if (!find) continue;
+    const regex = find.match(/^\/(.+)\/([a-z]*)$/);
+    replacements.push(regex
+      ? { pattern: regex[1], flags: regex[2] || 'g', replace }
+      : { pattern: escapeRegExp(find), flags: 'g', replace });
+  }
+  return replacements;
+}
+
+/** Inverse of parseReplacements(), used to fill the editor textarea. */
+export function formatReplacements(replacements) {
+  return (replacements || [])
+    .map(r => `/${r.pattern}/${r.flags} => ${r.replace.replace(/\n/g, '\\n')}`)
+    .join('\n');
+}
+
+/** Apply a rule's regex replacements to converted Markdown. Bad patterns are skipped. */
+export function applyReplacements(markdown, replacements) {
+  for (const r of replacements || []) {
+    try {
+      markdown = markdown.replace(new RegExp(r.pattern, r.flags), r.replace);
+    } catch { /* invalid pattern — ignore */ }
+  }
+  return markdown;
+}
+
+/** Coerce an imported or edited rule into the canonical shape; null if unusable. */
+export function normalizeRule(raw) {
+  if (!raw || typeof raw !== 'object' || !String(raw.pattern || '').trim()) return null;
+  const list = (value) => (Array.isArray(value) ? value : String(value || '').split('\n'))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+  return {
+    id: String(raw.id || `rule-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`),
+    pattern: String(raw.pattern).trim(),
+    contentSelector: String(raw.contentSelector || '').trim(),
+    titleSelector: String(raw.titleSelector || '').trim(),
+    removeSelectors: list(raw.removeSelectors),
+    replacements: (Array.isArray(raw.replacements) ? raw.replacements : [])
+      .filter(r => r && typeof r.pattern === 'string' && r.pattern)
+      .map(r => ({ pattern: r.pattern, flags: String(r.flags ?? 'g'), replace: String(r.replace ?? '') })),
+  };
+}
+
+export function exportRules(rules) {
+  return JSON.stringify({ version: EXPORT_VERSION, rules }, null, 2);
+}
+
+/** Parse an exported rule file (or a bare array of rules). Throws on invalid input. */
+export function importRules(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('File không phải JSON hợp lệ');
+  }
+  const list = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(list)) throw new Error('Không tìm thấy danh sách quy tắc trong file');
+  return list.map(normalizeRule).filter(Boolean);
+}
+
+/** Use a rule's content selector when it matches something on the page. */
+export function detectFromSiteRule(doc, rule) {
+  if (!rule?.contentSelector || !isValidSelector(rule.contentSelector, doc)) return null;
+  const el = doc.querySelector(rule.contentSelector);
+  return el ? { element: el, elements: [el], method: 'site-rule', candidates: [] } : null;
+}
+
+/** Combined selector of the blocks a rule removes ('' if none). */
+export function getRemoveSelector(doc, rule) {
+  return (rule?.removeSelectors || []).filter(sel => isValidSelector(sel, doc)).join(', ');
+}
+
+/** Title text picked by a rule's title selector ('' if none). */
+export function getRuleTitle(doc, rule) {
+  if (!rule?.titleSelector || !isValidSelector(rule.titleSelector, doc)) return '';
+  return doc.querySelector(rule.titleSelector)?.textContent?.trim() || '';
+}
@@ -0,0 +1,20 @@
+/**
+ * Blog Content Extractor - File names
+ * Slug rules shared by the popup's download button and the CLI.
+ */
+
+/** Lowercase ASCII slug: strips Vietnamese diacritics, spaces become dashes. */
+export function slugify(text, maxLength = 50) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim().replace(/\s+/g, '-').slice(0, maxLength);
+}
+
+/** File name (without extension) for a Markdown document, from its frontmatter title. */
+export function markdownFilename(markdown, fallback = 'blog-post') {
+  const titleMatch = markdown.match(/^title:\s*"?(.+?)"?\s*$/m);
+  return (titleMatch && slugify(titleMatch[1].trim())) || fallback;
+}
@@ -0,0 +1,83 @@
+/**
+ * Blog Content Extractor - Snapshot
+ * Copies the detected content into a separate, inert document so cleanup
+ * and conversion never touch the reader's page.
+ */
+
+import { BG_ATTR, CURRENT_SRC_ATTR, NATURAL_SIZE_ATTR, parseCssUrl } from './images.js';
+import { MATH_SCRIPT_SELECTOR } from './math.js';
+
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+
+// Marks copies of live elements matched by a site rule's removeSelectors
+export const SITE_RULE_ATTR = 'data-extractor-remove';
+
+// Never content; not worth copying
+const SNAPSHOT_PRUNE_TAGS = new Set(['script', 'style', 'noscript', 'template', 'link', 'meta']);
+
+// Unstyled text-level tags inherit visibility from their block, so their
+// computed style is not worth reading (most of the nodes in long articles)
+const PHRASING_TAGS = new Set([
+  'a', 'b', 'strong', 'i', 'em', 'u', 's', 'del', 'mark', 'sup', 'sub', 'code',
+  'kbd', 'abbr', 'br', 'small', 'cite', 'q', 'time', 'wbr',
+]);
+
+function needsStyleCheck(el, tag) {
+  // Not every DOM styles MathML (jsdom has no `style` there and throws)
+  if (!el.style) return false;
+  return !PHRASING_TAGS.has(tag) || el.hasAttribute('class') || el.hasAttribute('id') || el.hasAttribute('style');
+}
+
+/**
+ * Copy live nodes into a container in a document of its own, walking them
+ * once. The computed style of an element is read at most once (never for
+ * plain phrasing tags): hidden subtrees are not copied at all, and what the
+ * converter still needs from the live page (CSS background images, the
+ * browser-selected currentSrc and the size it loaded at) is stored as data
+ * attributes on the copy. The copy's document has no browsing context, so
+ * copied images and videos never start loading, and cleanup and conversion
+ * can remove nodes without touching the reader's page.
+ * Elements matching `removeSelector` are matched in the live page, where
+ * selectors naming the content container or its ancestors still apply, and
+ * their copies are marked with SITE_RULE_ATTR for cleanup to drop.
+ */
+export function snapshotContent(nodes, stats, doc = nodes[0]?.ownerDocument, removeSelector = '') {
+  const view = doc.defaultView;
+  const target = doc.implementation.createHTMLDocument('');
+  const container = target.createElement('div');
+
+  const copy = (node, parent) => {
+    if (node.nodeType === TEXT_NODE) {
+      parent.appendChild(target.createTextNode(node.data));
+      return;
+    }
+    if (node.nodeType !== ELEMENT_NODE) return;
+    const tag = node.tagName.toLowerCase();
+    // MathJax 2 keeps formula sources in (never displayed) scripts
+    const mathScript = tag === 'script' && node.matches(MATH_SCRIPT_SELECTOR);
+    if (SNAPSHOT_PRUNE_TAGS.has(tag) && !mathScript) return;
+
+    stats.elements++;
+    const clone = target.importNode(node, false);
+    if (!mathScript && needsStyleCheck(node, tag)) {
+      stats.styled++;
+      const style = view.getComputedStyle(node);
+      if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
+        stats.hidden++;
+        return;
+      }
+      const bg = parseCssUrl(style.backgroundImage);
+      if (bg) clone.setAttribute(BG_ATTR, bg);
+    }
+    if (node.currentSrc) clone.setAttribute(CURRENT_SRC_ATTR, node.currentSrc);
+    if (node.naturalWidth) clone.setAttribute(NATURAL_SIZE_ATTR, `${node.naturalWidth}x${node.naturalHeight}`);
+    if (removeSelector && node.matches(removeSelector)) clone.setAttribute(SITE_RULE_ATTR, '');
+    parent.appendChild(clone);
+
+    for (const child of node.childNodes) copy(child, clone);
+  };
+
+  for (const node of nodes) copy(node, container);
+  return container;
+}
@@ -0,0 +1,54 @@
+/**
+ * Blog Content Extractor - Document tree helpers
+ * Walking and copying the trees buildDocument() produces (see the node
+ * types in converter.js), for the steps that edit a tree after extraction:
+ * image export and review, resolved short links.
+ */
+
+const BLOCK_TYPES = new Set([
+  'heading', 'paragraph', 'blockquote', 'list', 'listItem', 'code', 'table', 'thematicBreak', 'image', 'figure',
+  'definitionList', 'definitionTerm', 'definitionDescription', 'details', 'embed', 'media',
+]);
+
+/** True for a node that starts its own block; the edge of its parent (no node) counts as one. */
+export const isBlock = (node) => !node || BLOCK_TYPES.has(node.type) || node.display === true;
+
+/** Every node under `nodes` in document order, including figure images and table cells. */
+export function* walk(nodes) {
+  for (const node of nodes) {
+    yield node;
+    if (node.type === 'figure') yield* walk([node.image]);
+    if (node.type === 'table') {
+      yield* walk(node.caption);
+      for (const row of node.rows) for (const cell of row.cells) yield* walk(cell.children);
+    }
+    if (node.children) yield* walk(node.children);
+  }
+}
+
+/**
+ * Copy of a node with `fn` applied to it after its descendants. `fn`
+ * returning null drops the node; a figure whose image is dropped goes too.
+ */
+function mapNode(node, fn) {
+  const copy = { ...node };
+  const mapAll = (nodes) => nodes.map(child => mapNode(child, fn)).filter(Boolean);
+  if (copy.children) copy.children = mapAll(copy.children);
+  if (copy.type === 'figure') {
+    copy.image = mapNode(copy.image, fn);
+    if (!copy.image) return null;
+  }
+  if (copy.type === 'table') {
+    copy.caption = mapAll(copy.caption);
+    copy.rows = copy.rows.map(row => ({ ...row, cells: row.cells.map(cell => ({ ...cell, children: mapAll(cell.children) })) }));
+  }
+  return fn(copy);
+}
+
+/** Copy of a document tree, footnotes included, with mapNode(node, fn) applied. */
+export function mapDocument(doc, fn) {
+  return {
+    ...mapNode(doc, fn),
+    footnotes: doc.footnotes.map(note => ({ ...note, children: note.children.map(child => mapNode(child, fn)).filter(Boolean) })),
+  };
+}
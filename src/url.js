@@ -0,0 +1,40 @@
+/**
+ * Blog Content Extractor - URL helpers
+ */
+
+/** Resolve a relative URL to an absolute one against the page URL. */
+export function resolveUrl(url, baseUrl) {
+  if (!url || url.trim() === '') return '';
+  url = url.trim();
+  if (url.startsWith('data:')) return url;
+  if (url.startsWith('//')) return 'https:' + url;
+  if (url.startsWith('http://') || url.startsWith('https://')) return url;
+  try {
+    return new URL(url, baseUrl).href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * True if an absolute URL may be written into the article: http(s) and
+ * mailto for links, http(s) and data:image/ for images. Anything else
+ * (javascript:, vbscript:, data:text/html) would run on the reader's blog.
+ */
+export function isSafeUrl(url, { image = false } = {}) {
+  if (image && /^data:image\//i.test(url)) return true;
+  let protocol;
+  try { protocol = new URL(url).protocol; } catch { return false; }
+  return protocol === 'http:' || protocol === 'https:' || (!image && protocol === 'mailto:');
+}
+
+/** Encode special characters that break Markdown link syntax. */
+export function safeMarkdownUrl(url) {
+  if (!url) return '';
+  return url.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/ /g, '%20').replace(/\[/g, '%5B').replace(/\]/g, '%5D');
+}
+
+/** Escape a value for a double-quoted HTML attribute. */
+export function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
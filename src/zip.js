@@ -0,0 +1,92 @@
+/**
+ * Blog Content Extractor - ZIP writer
+ * Minimal ZIP archive writer for the "export with images" download. Files
+ * are stored uncompressed: images are compressed already and the text is
+ * small, so deflate would buy little.
+ */
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** MS-DOS time and date fields (local time, two-second resolution). */
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a ZIP archive from `files` ([{ name, data }], data a string or
+ * Uint8Array; names use "/" for folders). Returns the archive bytes.
+ */
+export function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(date);
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    // Shared fields of the local and central headers: version 2.0, UTF-8 names, stored
+    const fields = (view, at) => {
+      view.setUint16(at, 20, true);
+      view.setUint16(at + 2, 0x0800, true);
+      view.setUint16(at + 4, 0, true);
+      view.setUint16(at + 6, time, true);
+      view.setUint16(at + 8, day, true);
+      view.setUint32(at + 10, crc, true);
+      view.setUint32(at + 14, data.length, true);
+      view.setUint32(at + 18, data.length, true);
+      view.setUint16(at + 22, name.length, true);
+    };
+
+    const header = new Uint8Array(30 + name.length);
+    const lh = new DataView(header.buffer);
+    lh.setUint32(0, 0x04034b50, true);
+    fields(lh, 4);
+    header.set(name, 30);
+    local.push(header, data);
+
+    const entry = new Uint8Array(46 + name.length);
+    const ch = new DataView(entry.buffer);
+    ch.setUint32(0, 0x02014b50, true);
+    ch.setUint16(4, 20, true);
+    fields(ch, 6);
+    ch.setUint32(42, offset, true);
+    entry.set(name, 46);
+    central.push(entry);
+
+    offset += header.length + data.length;
+  }
+
+  const centralSize = central.reduce((n, entry) => n + entry.length, 0);
+  const end = new Uint8Array(22);
+  const eocd = new DataView(end.buffer);
+  eocd.setUint32(0, 0x06054b50, true);
+  eocd.setUint16(8, files.length, true);
+  eocd.setUint16(10, files.length, true);
+  eocd.setUint32(12, centralSize, true);
+  eocd.setUint32(16, offset, true);
+
+  const parts = [...local, ...central, end];
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  let at = 0;
+  for (const part of parts) {
+    zip.set(part, at);
+    at += part.length;
+  }
+  return zip;
+}
@@ -0,0 +1,231 @@
+/**
+ * Export-with-images tests: image collection and naming, resizing and
+ * re-encoding, URL and size rewriting in the re-rendered document, the
+ * image review (alt text checks, edits, removals) and the structure of the
+ * ZIP archive.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { extractContent, renderDocument } from '../src/extract.js';
+import {
+  collectImageUrls, rewriteImages, removeImages, listImages, altTextIssue, downloadImages, imageExtension,
+} from '../src/assets.js';
+import { createZip } from '../src/zip.js';
+import { processImage, fitWidth, normalizeImageSettings } from '../src/image-pipeline.js';
+
+const PAGE = `<article>
+  <h1>Góc làm việc</h1>
+  <p>Bàn gỗ sồi, đèn vàng ấm và một chậu cây nhỏ cho góc làm việc tại nhà.</p>
+  <figure><img src="/img/ban.jpg?w=800" alt="Bàn gỗ"><figcaption>Bàn gỗ sồi</figcaption></figure>
+  <table><tr><th>Món</th><th>Ảnh</th></tr><tr><td>Đèn</td><td><img src="https://cdn.example.net/den.png" alt="Đèn"></td></tr></table>
+  <p><img src="/img/ban.jpg?w=800" alt="Bàn gỗ lần nữa"></p>
+</article>`;
+
+function extract(options = {}) {
+  const dom = new JSDOM(PAGE, { url: 'https://example.com/goc-lam-viec/', virtualConsole: new VirtualConsole() });
+  try {
+    return extractContent(dom.window.document, { includeFrontmatter: false, ...options });
+  } finally {
+    dom.window.close();
+  }
+}
+
+/** A fetch() stand-in serving `bodies` (URL -> [content type, text]); other URLs are 404s. */
+function fakeFetch(bodies) {
+  return async (url) => {
+    const body = bodies[url];
+    return {
+      ok: Boolean(body),
+      status: body ? 200 : 404,
+      headers: { get: () => body?.[0] || null },
+      arrayBuffer: async () => new TextEncoder().encode(body?.[1] || '').buffer,
+    };
+  };
+}
+
+test('image URLs are collected once, in document order, table cells included', () => {
+  const { document } = extract();
+  assert.deepEqual(collectImageUrls(document), ['https://example.com/img/ban.jpg?w=800', 'https://cdn.example.net/den.png']);
+});
+
+test('a repeated image is kept once and reported as skipped', () => {
+  const { imageCount, skippedImages } = extract();
+  assert.equal(imageCount, 2);
+  assert.deepEqual(skippedImages, [{ url: 'https://example.com/img/ban.jpg?w=800', reason: 'duplicate' }]);
+});
+
+test('downloads are named by position and failures keep their slot', async () => {
+  const urls = ['https://a.test/x.jpeg', 'https://a.test/missing.png', 'https://a.test/photo'];
+  const { files, failed } = await downloadImages(urls, 'goc-lam-viec', {
+    fetch: fakeFetch({ [urls[0]]: ['image/jpeg', 'x'], [urls[2]]: ['image/webp; q=1', 'y'] }),
+  });
+  assert.deepEqual(files.map(f => f.path), ['images/goc-lam-viec-01.jpg', 'images/goc-lam-viec-03.webp']);
+  assert.deepEqual(failed, [{ url: urls[1], error: 'HTTP 404' }]);
+});
+
+test('failed downloads are retried with retryFetch, keeping the first error', async () => {
+  const urls = ['https://a.test/ok.png', 'https://a.test/hotlink.jpg', 'https://a.test/gone.jpg'];
+  const retried = [];
+  const retry = fakeFetch({ [urls[1]]: ['image/jpeg', 'z'] });
+  const { files, failed } = await downloadImages(urls, 's', {
+    fetch: fakeFetch({ [urls[0]]: ['image/png', 'x'] }),
+    retryFetch: async (url, init) => {
+      retried.push(url);
+      return retry(url, init);
+    },
+  });
+  assert.deepEqual(retried, urls.slice(1));
+  assert.deepEqual(files.map(f => [f.url, f.path]), [[urls[0], 'images/s-01.png'], [urls[1], 'images/s-02.jpg']]);
+  assert.deepEqual(failed, [{ url: urls[2], error: 'HTTP 404' }]);
+});
+
+test('non-image responses are reported as failures', async () => {
+  const { files, failed } = await downloadImages(['https://a.test/a.jpg'], 's', {
+    fetch: fakeFetch({ 'https://a.test/a.jpg': ['text/html', '<html>'] }),
+  });
+  assert.equal(files.length, 0);
+  assert.match(failed[0].error, /text\/html/);
+});
+
+test('extension falls back from content type to URL to jpg', () => {
+  assert.equal(imageExtension('https://a.test/a.PNG?v=2', ''), 'png');
+  assert.equal(imageExtension('https://a.test/a.png', 'image/avif'), 'avif');
+  assert.equal(imageExtension('https://a.test/a', 'application/octet-stream'), 'jpg');
+});
+
+test('re-rendered Markdown and HTML point at the local files', () => {
+  const options = { includeFrontmatter: false };
+  const result = extract(options);
+  const paths = new Map([
+    ['https://example.com/img/ban.jpg?w=800', { url: './images/goc-lam-viec-01.jpg' }],
+    ['https://cdn.example.net/den.png', { url: './images/goc-lam-viec-02.png' }],
+  ]);
+  const local = rewriteImages(result.document, paths);
+
+  const markdown = renderDocument(local, options, result);
+  assert.match(markdown, /!\[Bàn gỗ sồi\]\(\.\/images\/goc-lam-viec-01\.jpg\)/);
+  assert.match(markdown, /!\[Đèn\]\(\.\/images\/goc-lam-viec-02\.png\)/);
+  assert.doesNotMatch(markdown, /https:\/\/(?:example\.com\/img|cdn\.)/);
+
+  const html = renderDocument(local, { ...options, format: 'html' }, result);
+  assert.match(html, /<img src="\.\/images\/goc-lam-viec-01\.jpg" alt="Bàn gỗ sồi">/);
+  // The extraction's own tree is left as it was
+  assert.deepEqual(collectImageUrls(result.document), [...paths.keys()]);
+});
+
+test('alt text that is missing or a file name is flagged', () => {
+  assert.equal(altTextIssue('', 'https://a.test/a.jpg'), 'missing');
+  assert.equal(altTextIssue('image', 'https://a.test/a.jpg'), 'missing');
+  assert.equal(altTextIssue('IMG_20260102_0931', 'https://a.test/a.jpg'), 'filename');
+  assert.equal(altTextIssue('den-ban.webp'), 'filename');
+  assert.equal(altTextIssue('den-ban', 'https://a.test/uploads/den-ban.jpg'), 'filename');
+  assert.equal(altTextIssue('Đèn bàn kẹp cạnh', 'https://a.test/uploads/den-ban.jpg'), null);
+});
+
+test('reviewed images: edited alt text, removed images and their figures', () => {
+  const result = extract();
+  assert.deepEqual(listImages(result.document).map(i => [i.alt, i.issue]), [['Bàn gỗ sồi', null], ['Đèn', null]]);
+
+  const edited = rewriteImages(result.document, new Map([['https://cdn.example.net/den.png', { alt: 'Đèn kẹp bàn' }]]));
+  const reviewed = removeImages(edited, new Set(['https://example.com/img/ban.jpg?w=800']));
+  const markdown = renderDocument(reviewed, { includeFrontmatter: false }, result);
+  assert.doesNotMatch(markdown, /ban\.jpg|Bàn gỗ sồi\]/);
+  assert.match(markdown, /!\[Đèn kẹp bàn\]\(https:\/\/cdn\.example\.net\/den\.png\)/);
+  assert.deepEqual(listImages(reviewed).map(i => i.url), ['https://cdn.example.net/den.png']);
+});
+
+/**
+ * createImageBitmap/OffscreenCanvas stand-ins: every image decodes as
+ * 4000x3000 and the canvas encodes only `encodable` types (PNG otherwise).
+ */
+function fakeCanvasEnv(encodable) {
+  const calls = [];
+  return {
+    calls,
+    createImageBitmap: async () => ({ width: 4000, height: 3000, close() {} }),
+    OffscreenCanvas: class {
+      constructor(width, height) { calls.push(['canvas', width, height]); }
+      getContext() { return { fillRect() {}, drawImage() {} }; }
+      async convertToBlob({ type, quality }) {
+        calls.push(['encode', type, quality]);
+        return new Blob(['x'], { type: encodable.includes(type) ? type : 'image/png' });
+      }
+    },
+  };
+}
+
+test('images are scaled down to the maximum width, never up', () => {
+  assert.deepEqual(fitWidth(4000, 3000, 1600), { width: 1600, height: 1200 });
+  assert.deepEqual(fitWidth(800, 600, 1600), { width: 800, height: 600 });
+  assert.deepEqual(fitWidth(4000, 3000, 0), { width: 4000, height: 3000 });
+});
+
+test('image settings out of range fall back to defaults', () => {
+  assert.deepEqual(normalizeImageSettings({ format: 'tiff', maxWidth: '-5', quality: '80' }), { format: 'none', maxWidth: 1600, quality: 80 });
+});
+
+test('processed images get the new type, extension and size', async () => {
+  const env = fakeCanvasEnv(['image/webp', 'image/jpeg']);
+  const file = { url: 'https://a.test/a.jpg', path: 'images/a-01.jpg', mimeType: 'image/jpeg', data: new Uint8Array([1]) };
+  const webp = await processImage(file, { format: 'webp', maxWidth: 1200, quality: 75 }, env);
+  assert.deepEqual([webp.path, webp.mimeType, webp.width, webp.height], ['images/a-01.webp', 'image/webp', 1200, 900]);
+  assert.deepEqual(env.calls, [['canvas', 1200, 900], ['encode', 'image/webp', 0.75]]);
+
+  // No AVIF encoder: WebP rather than the PNG the canvas falls back to
+  const avif = await processImage(file, { format: 'avif' }, env);
+  assert.equal(avif.path, 'images/a-01.webp');
+});
+
+test('GIFs, SVGs and the "none" format are left as downloaded', async () => {
+  const env = fakeCanvasEnv(['image/webp']);
+  const gif = { path: 'images/a-01.gif', mimeType: 'image/gif', data: new Uint8Array([1]) };
+  assert.equal(await processImage(gif, { format: 'webp' }, env), gif);
+  const jpg = { path: 'images/a-02.jpg', mimeType: 'image/jpeg', data: new Uint8Array([1]) };
+  assert.equal(await processImage(jpg, { format: 'none' }, env), jpg);
+  assert.equal(env.calls.length, 0);
+});
+
+test('image sizes reach HTML and flavors with a size syntax', () => {
+  const result = extract();
+  const local = rewriteImages(result.document, new Map([
+    ['https://cdn.example.net/den.png', { url: './images/den.webp', width: 800, height: 600 }],
+  ]));
+  const render = (options) => renderDocument(local, { includeFrontmatter: false, ...options }, result);
+  assert.match(render({ format: 'html' }), /<img src="\.\/images\/den\.webp" alt="Đèn" width="800" height="600">/);
+  assert.match(render({ flavor: 'jekyll' }), /!\[Đèn\]\(\.\/images\/den\.webp\)\{: width="800" height="600"\}/);
+  // Inside a table cell the pipe is escaped, as Obsidian expects there
+  assert.match(render({ flavor: 'obsidian' }), /!\[Đèn\\\|800x600\]\(\.\/images\/den\.webp\)/);
+  assert.match(render({ format: 'asciidoc' }), /image::\.\/images\/den\.webp\["Đèn",800,600\]/);
+  assert.match(render({ flavor: 'gfm' }), /!\[Đèn\]\(\.\/images\/den\.webp\) \|/);
+});
+
+test('ZIP archive lists every file with its stored bytes', () => {
+  const files = [
+    { name: 'bai-viet.md', data: '# Tiêu đề\n' },
+    { name: 'images/bai-viet-01.png', data: new Uint8Array([137, 80, 78, 71]) },
+  ];
+  const zip = createZip(files, new Date(2026, 0, 2, 3, 4, 6));
+  const view = new DataView(zip.buffer);
+
+  // End of central directory: entry count and where the directory starts
+  const end = zip.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 10, true), 2);
+  let at = view.getUint32(end + 16, true);
+
+  const decoder = new TextDecoder();
+  for (const file of files) {
+    assert.equal(view.getUint32(at, true), 0x02014b50);
+    const size = view.getUint32(at + 24, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const offset = view.getUint32(at + 42, true);
+    assert.equal(decoder.decode(zip.subarray(at + 46, at + 46 + nameLength)), file.name);
+
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    const expected = typeof file.data === 'string' ? new TextEncoder().encode(file.data) : file.data;
+    assert.deepEqual(zip.subarray(dataStart, dataStart + size), expected);
+    at += 46 + nameLength;
+  }
+});
@@ -0,0 +1,54 @@
+/**
+ * Noise removal tests: what is dropped, what survives a noisy name, and
+ * the report of removed blocks.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { removeNoise } from '../src/cleanup.js';
+
+const LONG = 'Máy xay chạy êm, cối thủy tinh dày, lưỡi dao sáu cánh xay nhuyễn đá và rau củ chỉ trong chưa đầy một phút.';
+
+function clean(html, removeSelector = '') {
+  const { document } = new JSDOM(`<div id="root">${html}</div>`).window;
+  const root = document.getElementById('root');
+  const removed = removeNoise(root, removeSelector);
+  return { root, removed };
+}
+
+test('boilerplate is dropped and reported with its reasons', () => {
+  const { root, removed } = clean(`
+    <p>${LONG}</p>
+    <div class="share-buttons"><a href="#">Facebook</a> <a href="#">Zalo</a></div>
+    <section class="related-posts"><h3>Bài viết liên quan</h3><ul><li><a href="/a">A</a></li><li><a href="/b">B</a></li><li><a href="/c">C</a></li></ul></section>
+    <form class="box"><input type="email" name="email"><button>Đăng ký</button></form>
+    <div class="ad-slot"><a href="/x">Mua ngay</a> <a href="/y">Giảm giá</a> <a href="/z">Xem</a></div>`);
+  assert.equal(root.textContent.trim(), LONG);
+  assert.deepEqual(removed.map(r => [r.element, r.reasons]), [
+    ['div.share-buttons', ['share', 'share-text']],
+    ['section.related-posts', ['related', 'heading']],
+    ['form.box', ['email-form']],
+    ['div.ad-slot', ['ad', 'link-density']],
+  ]);
+  assert.equal(removed[0].text, 'Facebook Zalo');
+  assert.ok(removed.every(r => r.score >= 4));
+});
+
+test('content in a noisily named wrapper survives', () => {
+  const { root, removed } = clean(`<div class="post-sidebar-layout comments-open">
+    <p>${LONG}</p><p>${LONG}</p><p>${LONG}</p><p>${LONG}</p></div>`);
+  assert.deepEqual(removed, []);
+  assert.equal(root.querySelectorAll('p').length, 4);
+});
+
+test('one class word, or part of a word, is not enough', () => {
+  const { removed } = clean('<div class="header download"><span>Tải về</span></div><div class="ad-slot">Quảng cáo</div>');
+  assert.deepEqual(removed, []);
+});
+
+test('site rule selectors are removed unconditionally', () => {
+  const { root, removed } = clean(`<p>${LONG}</p><div class="box-mua"><p>${LONG}</p></div>`, '.box-mua');
+  assert.deepEqual(removed.map(r => [r.element, r.reasons, r.score]), [['div.box-mua', ['site-rule'], null]]);
+  assert.equal(root.querySelectorAll('p').length, 1);
+});
@@ -0,0 +1,77 @@
+/**
+ * CLI tests: bin/extract-md.js run on saved pages in a temporary folder.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/extract-md.js', import.meta.url));
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'extract-md-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const page = (title, head = '') => `<!DOCTYPE html>
+<!-- saved from url=(0037)https://blog.example.com/bai-viet/mot -->
+<html lang="vi"><head><meta charset="utf-8"><title>${title}</title>${head}</head>
+<body><article><h1>${title}</h1>
+<p>Máy xay sinh tố dùng tốt, xay đá nhanh, dễ vệ sinh, giá hợp lý, bảo hành hai năm và giao hàng nhanh trong ngày.</p>
+<p>Xem <a href="/lien-he">trang liên hệ</a> và <a href="https://shop.example.net/sp?utm_source=blog">cửa hàng</a>.</p>
+</article></body></html>`;
+
+function write(file, html) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, html);
+  return file;
+}
+
+function run(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+test('a folder of saved pages becomes one file per page, names kept unique', () => {
+  const input = path.join(tmp, 'in');
+  write(path.join(input, 'a.html'), page('Review máy xay'));
+  write(path.join(input, 'con', 'b.htm'), page('Review máy xay'));
+  write(path.join(input, 'ghi-chu.txt'), 'không phải HTML');
+  const out = path.join(tmp, 'out');
+
+  const result = run('-o', out, '--clean-links', input);
+  assert.equal(result.status, 0, result.stderr);
+  assert.deepEqual(fs.readdirSync(out).sort(), ['review-may-xay-2.md', 'review-may-xay.md']);
+  assert.match(result.stdout, /✅ .*a\.html → .*review-may-xay\.md .*1 link đã sửa/);
+
+  const markdown = fs.readFileSync(path.join(out, 'review-may-xay.md'), 'utf8');
+  assert.match(markdown, /^---\ntitle: Review máy xay\n/);
+  // Relative links resolve against the "saved from" URL
+  assert.match(markdown, /\[trang liên hệ\]\(https:\/\/blog\.example\.com\/lien-he\)/);
+  assert.match(markdown, /\[cửa hàng\]\(https:\/\/shop\.example\.net\/sp\)/);
+});
+
+test('options pick the output format and base URL', () => {
+  const file = write(path.join(tmp, 'format', 'trang.html'), page('Trang thử'));
+  const out = path.join(tmp, 'format-out');
+  const result = run('--format', 'html', '--no-frontmatter', '--url', 'https://khac.example.org/x/', '-o', out, file);
+  assert.equal(result.status, 0, result.stderr);
+  const html = fs.readFileSync(path.join(out, 'trang-thu.html'), 'utf8');
+  assert.match(html, /<a href="https:\/\/khac\.example\.org\/lien-he">/);
+  assert.doesNotMatch(html, /^---/);
+});
+
+test('bad options and missing files fail with a message', () => {
+  let result = run('--format', 'pdf', 'a.html');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /--format phải là một trong: markdown/);
+
+  result = run(path.join(tmp, 'khong-co.html'));
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Không tìm thấy/);
+
+  result = run();
+  assert.equal(result.status, 1);
+  assert.match(result.stdout, /Cách dùng/);
+  assert.equal(run('--help').status, 0);
+});
@@ -0,0 +1,50 @@
+/**
+ * Content detection tests: Readability-style scoring against comments,
+ * sidebars and link lists, sibling merging and the fallback.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { detectContentElement, getLinkDensity, describeElement } from '../src/detect.js';
+
+const paragraph = (n) => `<p>Đoạn ${n}: máy xay sinh tố dùng tốt, xay đá nhanh, dễ vệ sinh, giá hợp lý, bảo hành hai năm và giao hàng nhanh trong ngày.</p>`;
+const paragraphs = (count, from = 1) => Array.from({ length: count }, (_, i) => paragraph(from + i)).join('');
+
+function detect(body) {
+  const { document } = new JSDOM(`<body>${body}</body>`, { url: 'https://example.com/bai-viet/' }).window;
+  return detectContentElement(document);
+}
+
+test('the article beats comments, sidebars and link lists', () => {
+  const result = detect(`
+    <nav class="menu">${paragraphs(3)}</nav>
+    <div class="post-content">${paragraphs(4)}</div>
+    <div id="comments" class="comment-list">${paragraphs(6, 10)}</div>
+    <div class="links">${Array.from({ length: 8 }, (_, i) => `<p><a href="/bai-${i}">Bài viết liên quan số ${i}, đọc thêm, xem ngay, mua ngay</a></p>`).join('')}</div>`);
+  assert.equal(result.method, 'scoring');
+  assert.equal(describeElement(result.element), 'div.post-content');
+  assert.ok(result.candidates.every(c => !c.element.includes('comment') && c.element !== 'nav.menu'));
+  assert.ok(result.candidates.find(c => c.element === 'div.links').linkDensity > 0.9);
+});
+
+test('siblings split from the article are merged in document order', () => {
+  const result = detect(`<main>
+    <div class="entry">${paragraphs(4)}</div>
+    <aside class="ad">Quảng cáo</aside>
+    <p>Một câu kết ngắn nằm ngoài khung bài viết.</p>
+    <div class="entry">${paragraphs(2, 5)}</div>
+  </main>`);
+  assert.deepEqual(result.elements.map(describeElement), ['div.entry', 'p', 'div.entry']);
+});
+
+test('a page without paragraphs falls back to the body', () => {
+  const result = detect('<div>Ngắn</div><ul><li>Một</li></ul>');
+  assert.equal(result.method, 'fallback');
+  assert.equal(result.element.tagName, 'BODY');
+});
+
+test('link density counts in-page anchors at 30%', () => {
+  const { document } = new JSDOM('<p><a href="/x">aaaaa</a><a href="#n1">bbbbb</a>cccccccccc</p>').window;
+  assert.equal(getLinkDensity(document.querySelector('p')), (5 + 5 * 0.3) / 20);
+});
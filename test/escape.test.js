@@ -0,0 +1,98 @@
+/**
+ * Escaping tests: page text must survive a round trip through a CommonMark
+ * parser. Each case converts HTML to Markdown, renders it back with the
+ * reference implementation and compares text and element structure.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { Parser, HtmlRenderer } from 'commonmark';
+import { convertToMarkdown } from '../src/converter.js';
+
+const SYNONYMS = { b: 'strong', i: 'em' };
+
+function parseBody(html) {
+  return new JSDOM(`<body>${html}</body>`, { url: 'https://example.com/' }).window.document.body;
+}
+
+/**
+ * Tag sequence and text of a fragment. <br> is left out: the converter
+ * writes it as a plain line break, which CommonMark reads as a soft break.
+ */
+function shape(body) {
+  const walker = body.ownerDocument.createTreeWalker(body, 4 /* NodeFilter.SHOW_TEXT */);
+  const text = [];
+  while (walker.nextNode()) text.push(walker.currentNode.data);
+  return {
+    tags: [...body.querySelectorAll('*')]
+      .map(el => SYNONYMS[el.tagName.toLowerCase()] || el.tagName.toLowerCase())
+      .filter(tag => tag !== 'br'),
+    text: text.join(' ').replace(/\s+/g, ' ').trim(),
+  };
+}
+
+function roundTrip(html) {
+  const { markdown } = convertToMarkdown(parseBody(html), { baseUrl: 'https://example.com/' });
+  const rendered = new HtmlRenderer().render(new Parser().parse(markdown));
+  return { markdown, body: parseBody(rendered) };
+}
+
+const CASES = [
+  ['emphasis characters', '<p>Giảm *sale* 50% cho 2*3 khách, __mới__ và _vip_</p>'],
+  ['brackets', '<p>Xem [thành viên] hoặc [link](giả) và ![ảnh](giả)</p>'],
+  ['backslash and backticks', '<p>Đường dẫn C:\\temp và `lệnh`</p>'],
+  ['ordered list marker', '<p>1. không phải danh sách</p>'],
+  ['ordered list marker with paren', '<p>2) cũng không phải</p>'],
+  ['bullet markers', '<p>- gạch đầu dòng giả</p><p>+ dấu cộng</p><p>* dấu sao</p>'],
+  ['heading and hashtag', '<p># Tiêu đề giả</p><p>#hashtag #deal</p>'],
+  ['blockquote marker', '<p>&gt; không phải trích dẫn</p>'],
+  ['setext underlines', '<p>Dòng một<br>===</p><p>Dòng hai<br>---</p>'],
+  ['thematic break', '<p>***</p><p>- - -</p>'],
+  ['html and entities', '<p>Thẻ &lt;div&gt;, &lt;/p&gt; và &amp;amp; nguyên văn</p>'],
+  ['tildes', '<p>~~không gạch~~ và ~50k</p>'],
+  ['spaces inside emphasis', '<p>Giá<strong> đặc biệt </strong>hôm nay, <em>chỉ </em>1 ngày</p>'],
+  ['punctuation at the edges of emphasis', '<p><strong>"trích"</strong>dẫn, chữ<em>(ghi chú)</em> và <b>x</b>"y"</p>'],
+  ['syntax inside emphasis', '<p>Mã <b>*VIP*</b> và <i>_x_</i></p>'],
+  ['backticks in code', '<p><code>a ` b</code>, <code>``x``</code> và <code>`y</code></p>'],
+  ['text in list items', '<ul><li>1. mục</li><li># mục</li></ul>'],
+  ['exclamation mark before a link', '<p>Wow!<a href="https://example.com/x">click</a> và <strong>Hay!</strong><a href="/y">đây</a></p>'],
+];
+
+for (const [name, html] of CASES) {
+  test(name, () => {
+    const { markdown, body } = roundTrip(html);
+    assert.deepEqual(shape(body), shape(parseBody(html)), `markdown was:\n${markdown}`);
+  });
+}
+
+test('underscores inside words are not escaped', () => {
+  const { markdown } = roundTrip('<p>Biến snake_case_name</p>');
+  assert.equal(markdown, 'Biến snake_case_name');
+});
+
+test('emphasis keeps its delimiters where they are flanking', () => {
+  const { markdown } = roundTrip('<p>Nói <strong>"có"</strong> nhé, <em>(tạm)</em>.</p>');
+  assert.equal(markdown, 'Nói **"có"** nhé, *(tạm)*.');
+});
+
+test('back-to-back emphasis spans do not run together', () => {
+  const { markdown, body } = roundTrip('<p><strong>Giá:</strong><strong>100k</strong>, <em>a</em><em>b</em> và <em>c</em><strong>d</strong></p>');
+  assert.equal(markdown, '**Giá:100k**, *ab* và *c*<strong>d</strong>');
+  assert.deepEqual(shape(body), shape(parseBody('<p><strong>Giá:100k</strong>, <em>ab</em> và <em>c</em><strong>d</strong></p>')));
+});
+
+test('numbered headings stay readable', () => {
+  const { markdown } = roundTrip('<h2>1. Lưu voucher</h2>');
+  assert.equal(markdown, '## 1. Lưu voucher');
+});
+
+test('link text falls back to the escaped URL', () => {
+  const { body } = roundTrip('<p><a href="https://example.com/a_b_*c*"></a></p>');
+  assert.equal(body.querySelector('a').textContent, 'https://example.com/a_b_*c*');
+});
+
+test('image alt text with brackets', () => {
+  const { body } = roundTrip('<p><img alt="Ảnh [1] *mới*" src="/a.png"></p>');
+  assert.equal(body.querySelector('img').getAttribute('alt'), 'Ảnh [1] *mới*');
+});
@@ -0,0 +1,97 @@
+/**
+ * Frontmatter tests: profile templates, and YAML and TOML output read back
+ * with real parsers (YAML 1.1 too, which Jekyll's parser implements).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse as parseYaml } from 'yaml';
+import { parse as parseToml } from 'smol-toml';
+import { JSDOM } from 'jsdom';
+import { extractContent } from '../src/extract.js';
+import { renderFrontmatter, resolveField, renderTemplate, parseFields, formatFields, toYamlValue } from '../src/frontmatter.js';
+
+// Strings that look like YAML syntax, another type, or need escapes
+const TRICKY = [
+  'Giá: 199k', 'Giá:', 'C# và #hashtag', 'a #b', '- không phải list', '? không phải key', ': bắt đầu bằng hai chấm',
+  'yes', 'No', 'on', 'OFF', 'null', '~', 'true', '123', '-1.5', '1e3', '0x1F', '0o17', '.inf', '-.NaN',
+  '"trích dẫn"', "it's", '@tac_gia', '`mã`', '%TAG', '*sao', '&neo', '!tag',
+  '|ống', '>lớn hơn', '[x]', '{y}', 'dòng 1\ndòng 2', 'tab\tở giữa', 'ký tự lạ', 'đường\\dẫn',
+];
+
+const profile = (fields) => ({ fields: fields.map(([key, value]) => ({ key, value })) });
+
+/** Fields rendered from single placeholders, so each keeps its variable's value as is. */
+function render(vars, dialect) {
+  return renderFrontmatter(profile(Object.keys(vars).map(key => [key, `{{${key}}}`])), vars, dialect);
+}
+
+const yamlBody = (frontmatter) => frontmatter.replace(/^---\n/, '').replace(/---\n\n$/, '');
+const tomlBody = (frontmatter) => frontmatter.replace(/^\+\+\+\n/, '').replace(/\+\+\+\n\n$/, '');
+
+test('YAML strings read back unchanged', () => {
+  const vars = Object.fromEntries(TRICKY.map((value, i) => [`f${i}`, value]));
+  const body = yamlBody(render(vars));
+  assert.deepEqual(parseYaml(body), vars);
+  assert.deepEqual(parseYaml(body, { version: '1.1' }), vars);
+  // Fields are trimmed, values passed straight to the emitter are not
+  assert.equal(toYamlValue(' đầu'), '" đầu"');
+  assert.equal(toYamlValue('cuối '), '"cuối "');
+});
+
+test('YAML lists and typed values', () => {
+  const vars = { tags: ['a, b', 'c: d', '[x]', 'yes', 'Máy xay'], price: 1990000, rating: 4.5, draft: false };
+  const body = yamlBody(render(vars));
+  assert.deepEqual(parseYaml(body), vars);
+  assert.deepEqual(parseYaml(body, { version: '1.1' }), vars);
+  assert.match(body, /^price: 1990000$/m);
+});
+
+test('YAML dates stay plain', () => {
+  const frontmatter = render({ date: '2024-05-02', published: '2024-05-02T08:30:00+07:00' });
+  assert.equal(frontmatter, '---\ndate: 2024-05-02\npublished: 2024-05-02T08:30:00+07:00\n---\n\n');
+});
+
+test('TOML values read back unchanged', () => {
+  const vars = { ...Object.fromEntries(TRICKY.map((value, i) => [`f${i}`, value])), tags: ['a, b', 'c = d'], price: 1990000 };
+  assert.deepEqual({ ...parseToml(tomlBody(render(vars, 'toml'))) }, vars);
+});
+
+test('TOML dates are datetimes, other dates strings', () => {
+  const parsed = parseToml(tomlBody(render({ date: '2024-05-02', published: '2024-05-02T08:30:00+07:00', short: '2024-05-02T08:30' }, 'toml')));
+  assert.ok(parsed.date instanceof Date);
+  assert.equal(parsed.published.getTime(), Date.parse('2024-05-02T01:30:00Z'));
+  assert.equal(parsed.short, '2024-05-02T08:30');
+});
+
+test('fields keep their placeholder type, fall back to defaults or are left out', () => {
+  const vars = { title: '  Máy xay  ', keywords: ['a', 'b'], cover: '', price: 0 };
+  assert.equal(resolveField('{{title}}', vars), 'Máy xay');
+  assert.deepEqual(resolveField('{{keywords}}', vars), ['a', 'b']);
+  assert.equal(resolveField('{{price}}', vars), 0);
+  assert.equal(resolveField('{{cover}}', vars), undefined);
+  assert.deepEqual(resolveField('{{cover|[]}}', vars), []);
+  assert.equal(resolveField('{{author|Shop Deals}}', vars), 'Shop Deals');
+  assert.equal(resolveField('true', vars), true);
+  assert.equal(resolveField('"42"', vars), '42');
+  assert.equal(resolveField('Review: {{title}} ({{keywords}})', vars), 'Review:   Máy xay   (a, b)');
+  assert.equal(renderTemplate('{{missing}}-{{missing|x}}', vars), '-x');
+});
+
+test('editor lines round-trip', () => {
+  const text = 'title: {{title}}\ntags: {{keywords|[]}}\nnot a field\ncategory: Chia sẻ';
+  const fields = parseFields(text);
+  assert.deepEqual(fields.map(f => f.key), ['title', 'tags', 'category']);
+  assert.equal(formatFields(fields), 'title: {{title}}\ntags: {{keywords|[]}}\ncategory: Chia sẻ');
+});
+
+test('extraction writes the given profile in the dialect of the flavor', () => {
+  const { document } = new JSDOM(`<head><meta property="og:site_name" content="Bếp Nhà"><meta name="keywords" content="bếp, máy xay"></head>
+    <body><article><h1>Máy xay: đánh giá</h1><p>Máy xay sinh tố dùng tốt, xay đá nhanh, dễ vệ sinh, giá hợp lý và bảo hành hai năm.</p></article></body>`,
+  { url: 'https://example.com/may-xay/' }).window;
+  const frontmatterProfile = profile([['title', '{{title}}'], ['source', '{{site_name}} ({{url}})'], ['tags', '{{keywords}}'], ['cover', '{{cover}}']]);
+  const yaml = extractContent(document, { frontmatterProfile }).content;
+  assert.match(yaml, /^---\ntitle: "Máy xay: đánh giá"\nsource: Bếp Nhà \(https:\/\/example\.com\/may-xay\/\)\ntags: \[bếp, máy xay\]\n---\n\n# /);
+  const toml = extractContent(document, { frontmatterProfile, flavor: 'hugo' }).content;
+  assert.match(toml, /^\+\+\+\ntitle = "Máy xay: đánh giá"\n/);
+});
@@ -0,0 +1,56 @@
+/**
+ * Golden-file tests: every test/fixtures/<name>.html is run through the
+ * full pipeline and compared with test/fixtures/<name>.md, or with
+ * <name>.out.<extension> when its options pick another output format.
+ *
+ * Adding a fixture: save the page (or a trimmed copy of the problem area)
+ * as <name>.html, optionally put extractContent() options in <name>.json,
+ * run `npm run test:update` and review the generated output.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { extractContent } from '../src/extract.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+function readOptions(name) {
+  const file = path.join(FIXTURES, `${name}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+function convert(name) {
+  const html = fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8');
+  const dom = new JSDOM(html, { url: `https://example.com/blog/${name}/`, virtualConsole: new VirtualConsole() });
+  try {
+    // Frontmatter contains today's date, so it is off unless a fixture asks for it
+    const result = extractContent(dom.window.document, { includeFrontmatter: false, ...readOptions(name) });
+    const file = result.format === 'markdown' ? `${name}.md` : `${name}.out.${result.extension}`;
+    return { actual: result.content + '\n', file };
+  } finally {
+    dom.window.close();
+  }
+}
+
+const names = fs.readdirSync(FIXTURES)
+  .filter(f => f.endsWith('.html') && !f.endsWith('.out.html'))
+  .map(f => f.slice(0, -'.html'.length))
+  .sort();
+
+for (const name of names) {
+  test(name, () => {
+    const { actual, file } = convert(name);
+    const expectedFile = path.join(FIXTURES, file);
+    if (UPDATE) {
+      fs.writeFileSync(expectedFile, actual);
+      return;
+    }
+    assert.ok(fs.existsSync(expectedFile), `missing ${file}, run \`npm run test:update\``);
+    assert.equal(actual, fs.readFileSync(expectedFile, 'utf8'));
+  });
+}
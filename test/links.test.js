@@ -0,0 +1,78 @@
+/**
+ * Link rewriting tests: the summary of rewritten and short links, short
+ * link resolution, the rules editor format, and extraction without rules.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { extractContent, renderDocument } from '../src/extract.js';
+import {
+  DEFAULT_LINK_RULES, normalizeLinkRules, parseRedirectors, formatRedirectors, rewriteLink, findProduct,
+  resolveShortLinks, replaceLinks,
+} from '../src/links.js';
+
+const PAGE = `<article>
+  <h1>Máy xay sinh tố</h1>
+  <p>Xem <a href="https://www.google.com/url?q=https://review.example.net/may-xay%3Futm_medium%3Dsocial&sa=D">bài đánh giá</a>,
+  mua trên <a href="https://shopee.vn/May-xay-i.11.22?af_siteid=1">Shopee</a> hoặc <a href="https://vt.tiktok.com/ZSabc123/">TikTok</a>.</p>
+  <p>Trang gốc: <a href="/go/may-xay">đặt hàng</a> và <a href="/lien-he">liên hệ</a>.</p>
+</article>`;
+
+function extract(options = {}) {
+  const dom = new JSDOM(PAGE, { url: 'https://blog.example.com/may-xay/', virtualConsole: new VirtualConsole() });
+  try {
+    return extractContent(dom.window.document, { includeFrontmatter: false, ...options });
+  } finally {
+    dom.window.close();
+  }
+}
+
+test('rewritten links are listed with their reasons, short links apart', () => {
+  const result = extract({ linkRules: { affiliates: { shopee: 'https://aff.example.com/s/{shop}/{id}' } } });
+  assert.deepEqual(result.rewrittenLinks, [
+    { from: 'https://www.google.com/url?q=https://review.example.net/may-xay%3Futm_medium%3Dsocial&sa=D', to: 'https://review.example.net/may-xay', reasons: ['redirect', 'tracking'] },
+    { from: 'https://shopee.vn/May-xay-i.11.22?af_siteid=1', to: 'https://aff.example.com/s/11/22', reasons: ['affiliate'] },
+  ]);
+  assert.deepEqual(result.shortLinks, ['https://vt.tiktok.com/ZSabc123/', 'https://blog.example.com/go/may-xay']);
+});
+
+test('affiliate links on a short link host are not reported as short links', () => {
+  const shopee = 'https://s.shopee.vn/an_redir?origin_link={url}&affiliate_id=17300000000';
+  const result = extract({ linkRules: { affiliates: { shopee } } });
+  assert.equal(result.rewrittenLinks[1].to, 'https://s.shopee.vn/an_redir?origin_link=https%3A%2F%2Fshopee.vn%2Fproduct%2F11%2F22&affiliate_id=17300000000');
+  assert.deepEqual(result.shortLinks, ['https://vt.tiktok.com/ZSabc123/', 'https://blog.example.com/go/may-xay']);
+});
+
+test('without link rules the links are kept as written', () => {
+  const result = extract();
+  assert.match(result.content, /\(https:\/\/shopee\.vn\/May-xay-i\.11\.22\?af_siteid=1\)/);
+  assert.deepEqual(result.rewrittenLinks, []);
+});
+
+test('resolved short links are rewritten in the tree', async () => {
+  const linkRules = { affiliates: { tiktok: 'https://aff.example.com/t/{id}' } };
+  const result = extract({ linkRules });
+  const fetch = async (url) => ({ url: url.includes('tiktok') ? 'https://shop.tiktok.com/view/product/987?_r=1' : url });
+  const resolved = await resolveShortLinks(result.shortLinks, { fetch });
+  assert.deepEqual([...resolved.keys()], ['https://vt.tiktok.com/ZSabc123/']);
+
+  const rules = normalizeLinkRules(linkRules);
+  const urls = new Map([...resolved].map(([short, target]) => [short, rewriteLink(target, rules, result.url).url]));
+  const markdown = renderDocument(replaceLinks(result.document, urls), { includeFrontmatter: false }, result);
+  assert.match(markdown, /\[TikTok\]\(https:\/\/aff\.example\.com\/t\/987\)/);
+});
+
+test('product IDs are read from Shopee and TikTok Shop URLs', () => {
+  assert.deepEqual(findProduct('https://shopee.vn/product/11/22?x=1'), { store: 'shopee', id: '22', shop: '11', url: 'https://shopee.vn/product/11/22' });
+  assert.equal(findProduct('https://www.tiktok.com/view/product/1729384756?region=VN').id, '1729384756');
+  assert.equal(findProduct('https://shopee.vn/m/sale'), null);
+});
+
+test('redirector lines round-trip and missing rules fall back to defaults', () => {
+  const lines = 'l.facebook.com/l.php u\n{site}/out/* to target\nbroken-line';
+  const redirectors = parseRedirectors(lines);
+  assert.deepEqual(redirectors, [{ pattern: 'l.facebook.com/l.php', params: ['u'] }, { pattern: '{site}/out/*', params: ['to', 'target'] }]);
+  assert.equal(formatRedirectors(redirectors), 'l.facebook.com/l.php u\n{site}/out/* to target');
+  assert.deepEqual(normalizeLinkRules({ stripParams: ['ref'] }).redirectors, DEFAULT_LINK_RULES.redirectors);
+});
@@ -0,0 +1,82 @@
+/**
+ * Metadata tests: JSON-LD structured data read from the page head, Yoast
+ * style @graph documents with @id references included.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { extractStructuredData } from '../src/metadata.js';
+
+function parse(...jsonLd) {
+  const scripts = jsonLd
+    .map(data => `<script type="application/ld+json">${typeof data === 'string' ? data : JSON.stringify(data)}</script>`)
+    .join('');
+  return new JSDOM(`<head>${scripts}</head><body></body>`, { url: 'https://example.com/bai-viet/' }).window.document;
+}
+
+test('prices with thousands separators', () => {
+  const price = (value) => extractStructuredData(parse({
+    '@type': 'Product', name: 'Tai nghe', offers: { '@type': 'Offer', price: value, priceCurrency: 'VND' },
+  })).product.price;
+  assert.equal(price('1,990.50'), 1990.5);
+  assert.equal(price('1.990,50'), 1990.5);
+  assert.equal(price('1.990.000'), 1990000);
+  assert.equal(price('1,990'), 1990);
+  assert.equal(price('2,5'), 2.5);
+  assert.equal(price('19.99'), 19.99);
+  assert.equal(price(1990000), 1990000);
+});
+
+test('@graph nodes are found and @id references resolved', () => {
+  const data = extractStructuredData(parse({
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'WebPage', '@id': 'https://example.com/bai-viet/#webpage', name: 'Trang' },
+      {
+        '@type': 'BlogPosting',
+        '@id': 'https://example.com/bai-viet/#article',
+        headline: 'Review máy xay',
+        author: { '@id': 'https://example.com/#/person/an' },
+        publisher: { '@id': 'https://example.com/#organization' },
+        image: { '@id': 'https://example.com/bai-viet/#primaryimage' },
+        datePublished: '2024-05-02T08:30:00+07:00',
+        keywords: 'máy xay, nhà bếp',
+      },
+      { '@type': 'Person', '@id': 'https://example.com/#/person/an', name: 'An Nguyễn' },
+      { '@type': 'Organization', '@id': 'https://example.com/#organization', name: 'Bếp Nhà' },
+      { '@type': 'ImageObject', '@id': 'https://example.com/bai-viet/#primaryimage', url: '/anh/may-xay.jpg' },
+    ],
+  }));
+  assert.equal(data.type, 'BlogPosting');
+  assert.equal(data.headline, 'Review máy xay');
+  assert.deepEqual(data.authors, ['An Nguyễn']);
+  assert.equal(data.publisher, 'Bếp Nhà');
+  assert.deepEqual(data.images, ['https://example.com/anh/may-xay.jpg']);
+  assert.deepEqual(data.keywords, ['máy xay', 'nhà bếp']);
+});
+
+test('a review finds its product and rating; broken blocks are skipped', () => {
+  const data = extractStructuredData(parse(
+    '{ "@type": "Article", broken',
+    `<!-- ${JSON.stringify({
+      '@type': 'Review',
+      name: 'Đánh giá tai nghe',
+      itemReviewed: { '@id': '#sp' },
+      reviewRating: { '@type': 'Rating', ratingValue: '4,5', bestRating: 5 },
+    })} -->`,
+    [{ '@type': 'Product', '@id': '#sp', name: 'Soundcore Q30', brand: { '@type': 'Brand', name: 'Anker' },
+      offers: { '@type': 'AggregateOffer', lowPrice: '1.590.000', highPrice: '1.990.000', priceCurrency: 'VND' } }],
+  ));
+  assert.equal(data.type, 'Review');
+  assert.deepEqual(data.rating, { value: 4.5, best: 5, count: undefined });
+  assert.equal(data.product.name, 'Soundcore Q30');
+  assert.equal(data.product.brand, 'Anker');
+  assert.equal(data.product.price, 1590000);
+  assert.equal(data.product.highPrice, 1990000);
+});
+
+test('pages without usable JSON-LD give null', () => {
+  assert.equal(extractStructuredData(parse({ '@type': 'WebSite', name: 'Bếp Nhà' })), null);
+  assert.equal(extractStructuredData(parse()), null);
+});
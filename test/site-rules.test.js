@@ -0,0 +1,108 @@
+/**
+ * Site rule tests: URL pattern matching, rule lookup order, replacements
+ * and the JSON import/export format.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import {
+  matchesUrl, findRule, parseReplacements, formatReplacements, applyReplacements, normalizeRule, importRules, exportRules,
+  detectFromSiteRule, getRemoveSelector,
+} from '../src/site-rules.js';
+import { extractContent } from '../src/extract.js';
+
+test('bare hostnames match the host and its subdomains only', () => {
+  assert.ok(matchesUrl('example.com', 'https://example.com/a'));
+  assert.ok(matchesUrl('example.com', 'https://blog.example.com/a'));
+  assert.ok(matchesUrl('*.example.com', 'https://blog.example.com/a'));
+  assert.ok(matchesUrl('EXAMPLE.com', 'https://Example.COM/'));
+  assert.ok(!matchesUrl('example.com', 'https://notexample.com/'));
+  assert.ok(!matchesUrl('example.com', 'https://example.com.evil.net/'));
+});
+
+test('path globs match host, path and query without the protocol', () => {
+  assert.ok(matchesUrl('example.com/blog/*', 'https://example.com/blog/bai-viet?page=2'));
+  assert.ok(matchesUrl('https://example.com/blog/*', 'http://example.com/blog/x'));
+  assert.ok(matchesUrl('*.example.com/*/review-*', 'https://www.example.com/2024/review-may-xay'));
+  assert.ok(matchesUrl('example.com/p', 'https://example.com/p?utm_source=x'));
+  assert.ok(!matchesUrl('example.com/blog/*', 'https://example.com/shop/blog/x'));
+  assert.ok(!matchesUrl('example.com/blog/*', 'https://other.com/example.com/blog/x'));
+});
+
+test('regex patterns test the full URL; bad input never matches', () => {
+  assert.ok(matchesUrl('/\\/\\d{4}\\/\\d{2}\\//', 'https://example.com/2024/05/bai-viet'));
+  assert.ok(matchesUrl('/EXAMPLE/i', 'https://example.com/'));
+  assert.ok(!matchesUrl('/[/', 'https://example.com/'));
+  assert.ok(!matchesUrl('', 'https://example.com/'));
+  assert.ok(!matchesUrl('example.com', 'không phải URL'));
+});
+
+test('the first matching rule in list order wins', () => {
+  const rules = [{ pattern: 'example.com/blog/*' }, { pattern: 'example.com' }];
+  assert.equal(findRule(rules, 'https://example.com/blog/a'), rules[0]);
+  assert.equal(findRule(rules, 'https://example.com/shop'), rules[1]);
+  assert.equal(findRule(rules, 'https://other.com/'), null);
+  assert.equal(findRule(undefined, 'https://example.com/'), null);
+});
+
+test('replacement lines round-trip and bad patterns are skipped', () => {
+  const replacements = parseReplacements('Đọc thêm: => \n/\\s*\\(quảng cáo\\)/gi => \nkhông có mũi tên\n[x] => [y]\\n');
+  assert.equal(replacements.length, 3);
+  assert.equal(applyReplacements('Đọc thêm: A (Quảng cáo)\n[x]', replacements), ' A\n[y]\n');
+  assert.deepEqual(parseReplacements(formatReplacements(replacements)), replacements);
+  assert.equal(applyReplacements('abc', [{ pattern: '(', flags: 'g', replace: '' }]), 'abc');
+});
+
+test('imported rules are normalized, unusable ones dropped', () => {
+  const rules = importRules(JSON.stringify({
+    version: 1,
+    rules: [
+      { id: 'a', pattern: ' example.com ', removeSelectors: '.ads\n\n.share ', replacements: [{ pattern: 'x' }, { flags: 'g' }] },
+      { pattern: '' },
+      null,
+    ],
+  }));
+  assert.deepEqual(rules, [{
+    id: 'a', pattern: 'example.com', contentSelector: '', titleSelector: '',
+    removeSelectors: ['.ads', '.share'], replacements: [{ pattern: 'x', flags: 'g', replace: '' }],
+  }]);
+  assert.deepEqual(importRules(exportRules(rules)), rules);
+  assert.equal(importRules('[{ "pattern": "b.com" }]')[0].pattern, 'b.com');
+  assert.match(normalizeRule({ pattern: 'c.com' }).id, /^rule-/);
+  assert.throws(() => importRules('{'), /JSON hợp lệ/);
+  assert.throws(() => importRules('{ "version": 1 }'), /danh sách quy tắc/);
+});
+
+test('selectors that do not parse are ignored', () => {
+  const { document } = new JSDOM('<body><div class="bai">Nội dung</div><div class="ads"></div></body>').window;
+  assert.equal(detectFromSiteRule(document, { contentSelector: '.bai' }).method, 'site-rule');
+  assert.equal(detectFromSiteRule(document, { contentSelector: '.bai[' }), null);
+  assert.equal(detectFromSiteRule(document, { contentSelector: '.khong-co' }), null);
+  assert.equal(getRemoveSelector(document, { removeSelectors: ['.ads', '##', '.share'] }), '.ads, .share');
+});
+
+test('remove selectors are matched in the page, through the content container', () => {
+  const { document } = new JSDOM(`<body class="single"><article class="entry-content">
+    <p>Đoạn mở đầu của bài viết đủ dài để được giữ lại trong nội dung.</p>
+    <div class="box">Hộp quảng cáo</div>
+    <section><div class="box">Hộp lồng bên trong</div><p>Đoạn cuối bài.</p></section>
+  </article></body>`, { url: 'https://example.com/bai-viet/' }).window;
+  const extract = (removeSelectors) => extractContent(document, {
+    includeFrontmatter: false,
+    siteRules: [{ pattern: 'example.com', contentSelector: '.entry-content', removeSelectors }],
+  });
+
+  for (const selector of ['.entry-content .box', 'body.single .box', '.entry-content > .box']) {
+    const result = extract([selector]);
+    assert.doesNotMatch(result.content, /Hộp quảng cáo/, selector);
+    assert.ok(result.removed.every(r => r.reasons[0] === 'site-rule'), selector);
+  }
+  const nested = extract(['body.single .box']);
+  assert.doesNotMatch(nested.content, /Hộp/);
+  assert.match(nested.content, /Đoạn cuối bài/);
+  assert.deepEqual(nested.removed.map(r => r.text), ['Hộp quảng cáo', 'Hộp lồng bên trong']);
+  assert.doesNotMatch(nested.content, /data-extractor-remove/);
+  // Only the copy is marked
+  assert.equal(document.querySelector('[data-extractor-remove]'), null);
+});
@@ -0,0 +1,57 @@
+/**
+ * Snapshot tests: what is copied out of the live page, into which document,
+ * and how often the live page's styles are read.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { snapshotContent } from '../src/snapshot.js';
+import { BG_ATTR } from '../src/images.js';
+
+const PAGE = `<style>.an { display: none } .hero { background-image: url("/anh/nen.jpg") }</style>
+<article>
+  <p>Đoạn <strong>một</strong> với <a href="/lien-ket">liên kết</a>.</p>
+  <div class="an"><p>Bị ẩn</p><img src="/anh/an.jpg"></div>
+  <div class="hero"></div>
+  <p style="visibility: hidden">Cũng bị ẩn</p>
+  <img src="/anh/mot.jpg" alt="Ảnh một">
+  <video src="/video/mot.mp4"></video>
+  <script>var x = 1;</script>
+</article>`;
+
+function snapshot() {
+  const { window } = new JSDOM(PAGE, { url: 'https://example.com/bai-viet/' });
+  const styled = [];
+  const getComputedStyle = window.getComputedStyle.bind(window);
+  window.getComputedStyle = (el) => {
+    styled.push(el);
+    return getComputedStyle(el);
+  };
+  const stats = { elements: 0, styled: 0, hidden: 0 };
+  const article = window.document.querySelector('article');
+  const root = snapshotContent([...article.childNodes], stats, window.document);
+  return { document: window.document, root, stats, styled };
+}
+
+test('hidden subtrees and scripts are left out, backgrounds kept', () => {
+  const { root, stats } = snapshot();
+  assert.doesNotMatch(root.textContent, /ẩn|var x/);
+  assert.equal(root.querySelectorAll('img').length, 1);
+  assert.equal(root.querySelector(`[${BG_ATTR}]`).getAttribute(BG_ATTR), '/anh/nen.jpg');
+  assert.equal(stats.hidden, 2);
+});
+
+test('the copy lives in a document without a window', () => {
+  const { document, root } = snapshot();
+  assert.notEqual(root.ownerDocument, document);
+  assert.equal(root.ownerDocument.defaultView, null);
+  assert.equal(root.querySelector('video').ownerDocument, root.ownerDocument);
+});
+
+test('each element is style-checked at most once, phrasing tags never', () => {
+  const { styled, stats } = snapshot();
+  assert.equal(styled.length, stats.styled);
+  assert.equal(new Set(styled).size, styled.length);
+  assert.ok(!styled.some(el => ['STRONG', 'A'].includes(el.tagName)));
+});